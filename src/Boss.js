@@ -0,0 +1,41 @@
+import * as THREE from 'three';
+import { withEnemyModel } from './Enemy.js';
+import { SimBoss } from './sim/SimBoss.js';
+
+/**
+ * The boss on screen: SimBoss's abilities with the enemy model, plus the
+ * red ring that telegraphs a ground slam.
+ */
+export class Boss extends withEnemyModel(SimBoss) {
+  constructor(scene, player, staticColliders, pathfinder, spawner, scaling = {}) {
+    super(scene, player, staticColliders, pathfinder, spawner, scaling);
+    this.slamRing = null;
+  }
+
+  /* flat red ring on the ground that grows until the slam lands */
+  showSlamRing() {
+    const R   = Boss.SLAM_RADIUS;
+    const geo = new THREE.RingGeometry(R * 0.9, R, 64);
+    const mat = new THREE.MeshBasicMaterial({
+      color: 0xff2200, transparent: true, opacity: 0.25, depthWrite: false
+    });
+    this.slamRing = new THREE.Mesh(geo, mat);
+    this.slamRing.rotation.x = -Math.PI / 2;
+    this.scene.add(this.slamRing);
+  }
+
+  updateSlamRing(t) {
+    if (!this.slamRing) return;
+    this.slamRing.position.copy(this.mesh.position).setY(0.05);
+    this.slamRing.scale.setScalar(Math.max(0.01, t));
+    this.slamRing.material.opacity = 0.25 + 0.35 * t;
+  }
+
+  hideSlamRing() {
+    if (!this.slamRing) return;
+    this.scene.remove(this.slamRing);
+    this.slamRing.geometry.dispose();
+    this.slamRing.material.dispose();
+    this.slamRing = null;
+  }
+}
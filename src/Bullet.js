@@ -1,6 +1,10 @@
 import * as THREE from 'three';
-import { GRAVITY }   from './constants.js';
 import { laserTex }  from './LaserTextures.js';   // already loads all laser PNGs
+import { Pool }      from './Pool.js';
+import { rng }       from './Random.js';
+import { SimBullet } from './sim/SimBullet.js';
+
+const fx = rng.stream('fx');   // which laser glow a shot gets
 
 /*─────────────────────────  trail sprite pool  ───────────────────────*/
 const TRAIL_POOL_SIZE = 64;
@@ -31,89 +35,105 @@ function getTrailSprite(scene)
 }
 /*──────────────────────────────────────────────────────────────────────*/
 
-export class Bullet {
-  constructor(pos, dir, scene, {
-    speed        = 300, // this will influence the damage
-    mass         = 0.05,
-    heightOffset = 0
-  } = {}) {
-
-    /*―― basic physics ――*/
-    this.mass     = mass;
-    this.velocity = dir.clone().setLength(speed);
-    this.radius   = 5.35;
-    this.alive    = true;
-
-    // this.dragCoefficient = 0.8; // air drag coefficient
-
-    /*―― core mesh (tiny cylinder) ――*/
-    const coreLen = 1.6, coreRad = 0.08;
-    const coreGeo = new THREE.CylinderGeometry(coreRad, coreRad, coreLen, 6, 1, true);
-    const coreMat = new THREE.MeshStandardMaterial({
-      color            : 0xffb200,
+/*─────────────────  shared geometry & materials  ──────────────────*/
+const CORE_LEN = 1.6, CORE_RAD = 0.08;
+const coreGeo  = new THREE.CylinderGeometry(CORE_RAD, CORE_RAD, CORE_LEN, 6, 1, true);
+const coreMats = new Map();   // colour → material
+const glowMats = new Map();   // laser texture → material
+const UP       = new THREE.Vector3(0, 1, 0);
+const _dir     = new THREE.Vector3();
+
+function coreMaterial(colour) {
+  if (!coreMats.has(colour)) {
+    coreMats.set(colour, new THREE.MeshStandardMaterial({
+      color            : colour,
       emissive         : 0xff7300,
       emissiveIntensity: 3,
       metalness        : 0.2,
       roughness        : 0.25
-    });
-    this.core = new THREE.Mesh(coreGeo, coreMat);
-    this.core.quaternion.setFromUnitVectors(
-      new THREE.Vector3(0, 1, 0),
-      dir.clone().normalize()
-    );
-
-    /*―― glow sprite ――*/
-    const tex = laserTex[Math.floor(Math.random() * laserTex.length)];
-    const glowMat = new THREE.SpriteMaterial({
+    }));
+  }
+  return coreMats.get(colour);
+}
+
+function glowMaterial(tex) {
+  if (!glowMats.has(tex)) {
+    glowMats.set(tex, new THREE.SpriteMaterial({
       map        : tex,
       color      : 0xffffff,
       transparent: true,
       blending   : THREE.AdditiveBlending,
       depthWrite : false
-    });
-    this.glow = new THREE.Sprite(glowMat);
-
-    // scale sprite once its image is available
-    const setSize = () => {
-      const aspect = tex.image.width / tex.image.height;
-      const h = 0.8;
-      this.glow.scale.set(h * aspect, h, 1);
-    };
-    if (tex.image && tex.image.width) setSize();
-    else tex.addEventListener('update', setSize);
-
-    /*―― group & placement ――*/
-    this.mesh = new THREE.Group();
+    }));
+  }
+  return glowMats.get(tex);
+}
+/*──────────────────────────────────────────────────────────────────────*/
+
+/**
+ * A SimBullet drawn as a laser bolt: core, glow sprite and a fading trail.
+ * Get bullets from `Bullet.acquire()` and hand them back with `recycle()`
+ * once they are off the books; `new Bullet().init(…)` still works but is
+ * never reused.
+ */
+export class Bullet extends SimBullet {
+  static pool = new Pool({
+    create : (...args) => new Bullet().init(...args),
+    reset  : (bullet, ...args) => bullet.init(...args),
+    release: (bullet) => bullet.dispose(),
+    max    : 256
+  });
+
+  constructor() {
+    super();
+
+    /*―― core mesh (tiny cylinder) + glow sprite, materials set per shot ――*/
+    this.core = new THREE.Mesh(coreGeo);
+    this.glow = new THREE.Sprite();
+
+    /*―― group ――*/
     this.mesh.add(this.core);
     this.mesh.add(this.glow);
-    this.mesh.position
-        .copy(pos)
-        .addScaledVector(new THREE.Vector3(0, 1, 0), heightOffset);
+
+    // a laser image may still be loading: listen once, for this bullet's whole
+    // life in and out of the pool, and resize if it is the one shown
+    for (const tex of laserTex) {
+      tex.addEventListener('update', () => {
+        if (this.glow.material.map === tex) this.fitGlow();
+      });
+    }
+  }
+
+  /** (re)fires this bullet and adds it to `scene`; opts as SimBullet.init plus `colour` */
+  init(pos, dir, scene, opts = {}) {
+    super.init(pos, dir, opts);
+
+    this.core.material = coreMaterial(opts.colour ?? 0xffb200);
+    this.core.quaternion.setFromUnitVectors(UP, _dir.copy(dir).normalize());
+
+    this.glow.material = glowMaterial(fx.pick(laserTex));
+    this.fitGlow();
 
     scene.add(this.mesh);
 
     /*―― bookkeeping ――*/
     this.scene      = scene;
     this.trailTimer = 0;
+    return this;
+  }
+
+  /** scales the glow sprite to its image's aspect, once the image is available */
+  fitGlow() {
+    const image = this.glow.material.map.image;
+    if (!image?.width) return;
+    const h = 0.8;
+    this.glow.scale.set(h * image.width / image.height, h, 1);
   }
 
   update(dt) {
+    super.update(dt);
     if (!this.alive) return;
 
-    // apply gravity
-    this.velocity.addScaledVector(GRAVITY, dt);
-    
-    // // Apply air drag
-    // this.velocity.multiplyScalar(Math.exp(-this.dragCoefficient * dt));
-
-    // integrate position
-    this.mesh.position.addScaledVector(this.velocity, dt);
-
-    if (this.mesh.position.lengthSq() > 40000) {
-      this.dispose();
-      return;
-    }
-
     /* trail */
     this.trailTimer -= dt;
     if (this.trailTimer <= 0) {
@@ -130,7 +150,7 @@ export class Bullet {
 
   dispose() {
     if (!this.alive) return;
-    this.alive = false;
+    super.dispose();
     this.scene.remove(this.mesh);
   }
 }
@@ -0,0 +1,78 @@
+/**
+ * Difficulty curves, one preset per selectable difficulty.
+ * Every curve is evaluated as `base + perWave * (wave - 1)`, clamped to
+ * [min, max] when those are given:
+ *
+ *   health / speed / damage – multipliers on the archetype stats (EnemyArchetypes.js)
+ *   eliteChance             – 0‥1 probability that a spawned enemy is an elite
+ *   count                   – enemies in the wave (the boss comes on top)
+ *   spawnInterval           – seconds between two spawns
+ *   mix.unlockShift         – archetypes unlock this many waves later (+) or earlier (−)
+ *   mix.weightPerWave       – extra spawn weight per wave, so heavier kinds take over
+ */
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    icon: '🌱', name: 'Easy', desc: 'Fewer, softer zombies. Elites are rare.',
+    health:        { base: 0.7,  perWave: 0.05 },
+    speed:         { base: 0.85, perWave: 0.01, max: 1.2 },
+    damage:        { base: 0.6,  perWave: 0.04 },
+    eliteChance:   { base: 0,    perWave: 0.01, max: 0.1 },
+    count:         { base: 8,    perWave: 2 },
+    spawnInterval: { base: 1.2,  perWave: -0.08, min: 0.35 },
+    mix: { unlockShift: 1, weightPerWave: { runner: 0.1 } },
+  },
+
+  normal: {
+    icon: '🧟', name: 'Normal', desc: 'The horde as intended.',
+    health:        { base: 1,    perWave: 0.08 },
+    speed:         { base: 1,    perWave: 0.02, max: 1.4 },
+    damage:        { base: 1,    perWave: 0.06 },
+    eliteChance:   { base: 0,    perWave: 0.02, max: 0.25 },
+    count:         { base: 10,   perWave: 3 },
+    spawnInterval: { base: 1,    perWave: -0.1, min: 0.2 },
+    mix: { unlockShift: 0, weightPerWave: { runner: 0.2, tank: 0.1, exploder: 0.1, spitter: 0.1 } },
+  },
+
+  nightmare: {
+    icon: '💀', name: 'Nightmare', desc: 'Tougher, faster, and elites from the first wave.',
+    health:        { base: 1.4,  perWave: 0.12 },
+    speed:         { base: 1.15, perWave: 0.03, max: 1.6 },
+    damage:        { base: 1.5,  perWave: 0.1 },
+    eliteChance:   { base: 0.05, perWave: 0.03, max: 0.4 },
+    count:         { base: 14,   perWave: 4 },
+    spawnInterval: { base: 0.7,  perWave: -0.08, min: 0.15 },
+    mix: { unlockShift: -2, weightPerWave: { runner: 0.3, tank: 0.3, exploder: 0.2, spitter: 0.2 } },
+  },
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/** what an elite gets on top of the wave curve */
+export const ELITE = {
+  health: 2.5, speed: 1.15, damage: 1.5,
+  scale: 1.2,        // a bit bigger so they stand out in a crowd
+  xp: 3,
+  glow: 0xffc830,    // emissive colour added to every material
+};
+
+function evaluate({ base, perWave, min = -Infinity, max = Infinity }, wave) {
+  return Math.min(max, Math.max(min, base + perWave * (wave - 1)));
+}
+
+/**
+ * Evaluates every curve of a preset for one wave.
+ * @param {string} id   – key of DIFFICULTY_PRESETS, falls back to normal
+ * @param {number} wave – 1-based wave number
+ */
+export function waveDifficulty(id, wave) {
+  const p = DIFFICULTY_PRESETS[id] ?? DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+  return {
+    health:        evaluate(p.health, wave),
+    speed:         evaluate(p.speed, wave),
+    damage:        evaluate(p.damage, wave),
+    eliteChance:   evaluate(p.eliteChance, wave),
+    count:         Math.round(evaluate(p.count, wave)),
+    spawnInterval: evaluate(p.spawnInterval, wave),
+    mix:           p.mix,
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * What a dead enemy may leave behind, keyed by enemy type.
+ * Each row is rolled on its own, so one kill can drop several things.
+ *   kind   – key of PICKUP_KINDS (see Pickup.js)
+ *   chance – 0‥1 probability per kill
+ *   amount – optional override of the kind's default amount
+ */
+export const DROP_TABLES = {
+  zombie: [
+    { kind: 'heart',   chance: 0.08 },
+    { kind: 'mana',    chance: 0.20 },
+    { kind: 'xp',      chance: 0.30, amount: 5 },
+    { kind: 'turret',  chance: 0.03 },
+    { kind: 'molotov', chance: 0.04 },
+    { kind: 'potion',  chance: 0.02 },
+    { kind: 'ammo',    chance: 0.06 },
+  ],
+  runner: [
+    { kind: 'mana',    chance: 0.25 },
+    { kind: 'xp',      chance: 0.35, amount: 5 },
+    { kind: 'molotov', chance: 0.03 },
+  ],
+  tank: [
+    { kind: 'heart',   chance: 0.50 },
+    { kind: 'xp',      chance: 1.00, amount: 15 },
+    { kind: 'turret',  chance: 0.20 },
+    { kind: 'potion',  chance: 0.10 },
+    { kind: 'ammo',    chance: 0.30 },
+    { kind: 'knifeSpeed',     chance: 0.05 },
+    { kind: 'attackVelocity', chance: 0.05 },
+  ],
+  exploder: [
+    { kind: 'mana',    chance: 0.30 },
+    { kind: 'molotov', chance: 0.10 },
+  ],
+  spitter: [
+    { kind: 'heart',   chance: 0.10 },
+    { kind: 'mana',    chance: 0.30 },
+    { kind: 'xp',      chance: 0.40, amount: 8 },
+  ],
+  boss: [                                 // guaranteed loot pile
+    { kind: 'heart',   chance: 1, amount: 40 },
+    { kind: 'mana',    chance: 1, amount: 100 },
+    { kind: 'turret',  chance: 1, amount: 2 },
+    { kind: 'molotov', chance: 1, amount: 2 },
+    { kind: 'potion',  chance: 1 },
+    { kind: 'ammo',    chance: 1, amount: 3 },
+    { kind: 'bulletHell', chance: 1 },
+    { kind: 'xp',      chance: 1, amount: 50 },
+  ],
+};
+
+/**
+ * @param {string}   type   – enemy type, falls back to the zombie table
+ * @param {Function} random – () => [0,1), defaults to Math.random
+ * @returns {{kind:string, amount?:number}[]} the rows that hit
+ */
+export function rollDrops(type, random = Math.random) {
+  const table = DROP_TABLES[type] ?? DROP_TABLES.zombie;
+  return table.filter(row => random() < row.chance);
+}
@@ -0,0 +1,127 @@
+/**
+ * Enemy archetype registry.
+ * Everything that makes one enemy kind different from another lives here as
+ * data, so Enemy.js stays a single class and the spawner just picks ids.
+ *
+ *   model / scale / tint – GLTF to load, uniform scale and an optional colour
+ *                          multiplied into every material (null = untouched)
+ *   clips                – [start, end] seconds of the walk / attack sub-clips
+ *   animSpeed            – timeScale for both clips (runners shuffle faster)
+ *   health / speed       – hit points and steering acceleration
+ *   mass                 – feeds the knockback Δv = J / m
+ *   radius               – collision radius against static colliders
+ *   personalSpace        – metres kept from other enemies by crowd steering
+ *   attack               – 'melee' | 'explode' | 'ranged'
+ *   attackRange          – distance at which the attack animation starts
+ *   damage               – per hit / per blast / per projectile
+ *   threat               – rough "how dangerous" rank, used for targeting
+ *   xp                   – base XP for the kill (see Game.onEnemyKilled)
+ *   unlockWave / weight  – first wave it may appear in, relative spawn weight
+ *   minimap              – dot colour on the minimap
+ *   knockbackImmune      – knife hits don't push it around (boss)
+ *   name                 – shown on the boss health bar
+ */
+const ZOMBIE_MODEL = 'assets/zombie_commoner/scene.gltf';
+const ZOMBIE_CLIPS = { walk: [25, 27], attack: [38.8, 40.6] };
+
+export const ARCHETYPES = {
+  zombie: {
+    model: ZOMBIE_MODEL, scale: 0.05, tint: null,
+    clips: ZOMBIE_CLIPS, animSpeed: 1,
+    health: 300, speed: 30, mass: 1, radius: 0.2, personalSpace: 0.9,
+    attack: 'melee', attackRange: 5, damage: 10,
+    threat: 1, xp: 10,
+    unlockWave: 1, weight: 10,
+    minimap: '#f44',
+  },
+
+  runner: {
+    model: ZOMBIE_MODEL, scale: 0.042, tint: 0xa8d878,
+    clips: ZOMBIE_CLIPS, animSpeed: 1.7,
+    health: 150, speed: 55, mass: 0.6, radius: 0.2, personalSpace: 0.8,
+    attack: 'melee', attackRange: 4.5, damage: 6,
+    threat: 2, xp: 12,
+    unlockWave: 2, weight: 5,
+    minimap: '#fa4',
+  },
+
+  tank: {
+    model: ZOMBIE_MODEL, scale: 0.08, tint: 0x7080a8,
+    clips: ZOMBIE_CLIPS, animSpeed: 0.7,
+    health: 1200, speed: 16, mass: 6, radius: 0.6, personalSpace: 1.6,
+    attack: 'melee', attackRange: 7, damage: 25,
+    threat: 4, xp: 35,
+    unlockWave: 3, weight: 2,
+    minimap: '#a4f',
+  },
+
+  exploder: {
+    model: ZOMBIE_MODEL, scale: 0.046, tint: 0xff7a40,
+    clips: ZOMBIE_CLIPS, animSpeed: 1.3,
+    health: 120, speed: 42, mass: 0.8, radius: 0.2, personalSpace: 0.9,
+    attack: 'explode', attackRange: 6, damage: 35,
+    blastRadius: 12,                       // full damage at 0, none at the edge
+    threat: 3, xp: 15,
+    unlockWave: 4, weight: 2,
+    minimap: '#f80',
+  },
+
+  spitter: {
+    model: ZOMBIE_MODEL, scale: 0.048, tint: 0x70ffc8,
+    clips: ZOMBIE_CLIPS, animSpeed: 1,
+    health: 180, speed: 26, mass: 0.8, radius: 0.2, personalSpace: 0.9,
+    attack: 'ranged', attackRange: 45, damage: 12,
+    holdDistance: 35,                      // stops closing in once this near
+    attackCooldown: 2.5,                   // seconds between spits
+    projectileSpeed: 60,
+    threat: 3, xp: 18,
+    unlockWave: 5, weight: 3,
+    minimap: '#4fc',
+  },
+
+  // never drawn by composeWave: EnemySpawner adds it on every bossEvery-th wave
+  boss: {
+    model: ZOMBIE_MODEL, scale: 0.14, tint: 0x802020,
+    clips: ZOMBIE_CLIPS, animSpeed: 0.6,
+    health: 6000, speed: 14, mass: 50, radius: 1.2, personalSpace: 3,
+    attack: 'melee', attackRange: 9, damage: 30,
+    threat: 10, xp: 250,
+    unlockWave: Infinity, weight: 0,
+    minimap: '#f0f',
+    knockbackImmune: true,
+    name: 'Zombie Overlord',
+  },
+};
+
+/**
+ * Builds the spawn order for one wave: a weighted draw among every archetype
+ * already unlocked at `wave`.
+ * @param {number}   wave
+ * @param {number}   count  – how many enemies the wave holds
+ * @param {Function} random – () => [0,1), defaults to Math.random
+ * @param {{unlockShift?:number, weightPerWave?:Object}} [mix] – from the
+ *        difficulty preset (see Difficulty.js)
+ * @returns {string[]} archetype ids, in spawn order
+ */
+export function composeWave(wave, count, random = Math.random, mix = {}) {
+  const shift  = mix.unlockShift ?? 0;
+  const growth = mix.weightPerWave ?? {};
+
+  // the plain zombie (unlockWave 1) is always in, whatever the shift
+  const pool = Object.entries(ARCHETYPES)
+    .filter(([, a]) => a.unlockWave <= 1 || a.unlockWave + shift <= wave)
+    .map(([id, a]) => [id, a.weight + (growth[id] ?? 0) * (wave - 1)]);
+  const total = pool.reduce((sum, [, w]) => sum + w, 0);
+
+  const queue = [];
+  for (let i = 0; i < count; i++) {
+    let r = random() * total;
+    let pick = pool[pool.length - 1][0];   // guards against float round-off
+    for (const [id, w] of pool) {
+      r -= w;
+      if (r < 0) { pick = id; break; }
+    }
+    queue.push(pick);
+  }
+  return queue;
+}
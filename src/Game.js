@@ -1,86 +1,210 @@
 import * as THREE from 'three';
+import { Simulation } from './sim/Simulation.js';
 import { Player } from './Player.js';
 import { EnemySpawner } from './EnemySpawner.js';
 import { UI } from './UI.js';
 import { Bullet } from './Bullet.js';
 import { Minimap } from './Minimap.js';
 import { Turret } from './Turret.js';
-import { Potion } from './Potion.js';
-import { GridPathFinder } from './GridPathFinder.js';
+import { Molotov } from './Molotov.js';
+import { PathService } from './PathService.js';
+import { Interpolator } from './Interpolator.js';
+import { rng } from './Random.js';
+import { ReplayRecorder, pendingPlayback, pickReplayFile, startPlayback, quantize } from './Replay.js';
+import { preloadModels } from './ModelCache.js';
 import { GLTFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.150.1/examples/jsm/loaders/GLTFLoader.js';
 import { loadingMgr } from './LoadingMgr.js';
-
-export class Game {
+import { DIFFICULTY_PRESETS } from './Difficulty.js';
+import { ARCHETYPES } from './EnemyArchetypes.js';
+
+/**
+ * The game in the browser: the Simulation plus the map, rendering, HUD,
+ * mouse and keyboard, and replay recording / playback.
+ */
+export class Game extends Simulation {
   
   constructor(container) {
+    super();
 
     this.container = container;
     this._firstFrameDone = false;
-    this.isGameOver = false;
     this.paused = false;
 
+    // replays: every live run is recorded; ?replay plays the stored one back
+    const playback = pendingPlayback();
+    this.replay      = playback?.player ?? null;   // ReplayPlayer while watching
+    this.seekTarget  = playback?.seekTo ?? 0;      // fast-forward here first
+    this.replaySpeed = 1;
+    this.recorder    = null;          // ReplayRecorder of a live run
+
     this.initScene();
     this.initCamera();
     this.initRenderer();
     this.initLights();
-    
-    // Data structures for static models
-    this.staticColliders = [];
-
-    this.playerSpawnPos = new THREE.Vector3(0, 0, 0); // actually the player is at y = 1.5 but it's the same
-    this.reservedRadius   = 60;                       // metres of clearance
-    this.reservedRadiusSq = this.reservedRadius ** 2; 
 
     // Load all static models, then initialize pathfinding + spawner
     this.loadStaticModels().then(() => {
       this.initPathfinding();
       this.initEnemySpawner();
+      // paused before the first step can run; a replay plays the recorded pick instead
+      if (!this.replay) this.chooseDifficulty();
       this.start();
     });
 
-    // Array to hold active bullets.
-    this.bullets = [];
-
     this.initGameState();
     this.registerEventListeners();
   }
 
   togglePause() {
-    this.paused = !this.paused;
+    if (this.perkChoiceOpen || this.difficultyChoiceOpen) return;   // the panel owns the pause until a pick
+    this.setPaused(!this.paused);
+    if (this.paused) {
+      this.ui?.showFloatingMessage("⏸ Paused", this.player.mesh.position.clone());
+    }
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
     if (this.paused) {
       this.clock.stop();        // Three’s clock now returns 0 Δt
       this.enemySpawner?.pause?.();
-      this.turrets.forEach(t => t.active = false);
       this.ui?.dimStage();      // quick dark overlay you already have
-      this.ui?.showFloatingMessage("⏸ Paused", this.player.mesh.position.clone());
     } else {
       this.clock.start();       // resumes from where it left off
       this.enemySpawner?.resume?.();   // add “resume” just like pause
-      this.turrets.forEach(t => t.active = true);
       this.ui?.undimStage?.();  // remove the overlay if you expose this
     }
   }
 
-  /* Rough footprint the turret occupies on the ground  ─────────────── */
-  static TURRET_RADIUS = 1.6;   // metres (≈ the green cylinder you use)
+  /* ───── level-up perks ─────────────────────────────────────────── */
+
+  /** pause and show the offer "choose 1 of 3"; chains if several levels are pending */
+  openPerkChoice() {
+    if (this.perkChoiceOpen || this.difficultyChoiceOpen) return null;   // one panel at a time
+    const offer = super.openPerkChoice();
+    if (!offer) return null;
+
+    this.perkChoiceOpen = true;
+    this.cancelActiveDrag();
+    for (const k in this.input) this.input[k] = false;   // no stuck WASD after resume
+    if (!this.paused) this.setPaused(true);
+
+    this.ui.showPerkChoice(offer, (perk) => {
+      this.perkChoiceOpen = false;
+      this.choosePerk(offer.indexOf(perk));   // opens the next offer, if any
+      if (!this.perkChoiceOpen) this.setPaused(false);
+    });
+    return offer;
+  }
+
+  /** the run waits, paused, until a difficulty preset is picked */
+  chooseDifficulty() {
+    this.difficultyChoiceOpen = true;   // holds the pause, 1-3 pick a preset
+    this.setPaused(true);
+
+    const presets = Object.entries(DIFFICULTY_PRESETS).map(([id, p]) => ({ id, ...p }));
+    this.ui.showDifficultyChoice(presets, (preset) => this.command({ type: 'difficulty', id: preset.id }));
+  }
+
+  /** applies the preset; picked on the panel, it also closes it and starts the run */
+  setDifficulty(id) {
+    super.setDifficulty(id);
+    if (!this.difficultyChoiceOpen) return;
+
+    this.difficultyChoiceOpen = false;
+    const preset = DIFFICULTY_PRESETS[id];
+    this.ui.showMessage(`${preset.icon} ${preset.name}`, 2);
+
+    if (this.pendingPerks > 0) this.openPerkChoice();
+    else this.setPaused(false);
+  }
+
+  /* ───── turret selection / upgrades ───────────────────────────── */
 
-  /** returns true if the spot is free of static props *and* other turrets */
-  isTurretPlacementValid(pos){
-    /* 1. build a flat bounding-box around the proposed centre */
-    const r = Game.TURRET_RADIUS;
-    const bb = new THREE.Box3(
-        new THREE.Vector3(pos.x - r, -1, pos.z - r),
-        new THREE.Vector3(pos.x + r,  3, pos.z + r)   // a few metres tall
+  /** the placed turret under the cursor, or null */
+  pickTurret(clientX, clientY) {
+    if (!this.turrets.length) return null;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const ndc  = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width ) * 2 - 1,
+      ((clientY - rect.top )  / rect.height) * -2 + 1
     );
+    const ray = new THREE.Raycaster();
+    ray.setFromCamera(ndc, this.camera);
+
+    const alive = this.turrets.filter(t => t.alive);
+    const hit = ray.intersectObjects(alive.map(t => t.object), true)[0];
+    if (!hit) return null;
+    return alive.find(t => {
+      for (let o = hit.object; o; o = o.parent) if (o === t.object) return true;
+      return false;
+    }) ?? null;
+  }
 
-    /* 2. collide with static scenery */
-    if (this.staticColliders.some(box => box.intersectsBox(bb))) return false;
+  /** selects `turret` (null clears): range ring on, context panel open */
+  selectTurret(turret) {
+    if (this.selectedTurret === turret) return;
+    this.selectedTurret?.setSelected(false);
+    this.selectedTurret = turret;
 
-    /* 3. collide with already placed turrets */
-    for (const t of this.turrets){
-      if (t.object.position.distanceToSquared(pos) < (r*2)**2) return false;
+    if (!turret) {
+      this.ui.hideTurretPanel();
+      return;
     }
-    return true;
+    turret.setSelected(true);
+    this.ui.showTurretPanel(turret, {
+      onUpgrade: (stat) => this.command({ type: 'upgrade', id: turret.id, stat }),
+      onSell:    ()     => this.command({ type: 'sell', id: turret.id }),
+      onTargeting: ()     => this.command({ type: 'targeting', id: turret.id }),
+    });
+  }
+
+  /** buys the next tier of `stat` with mana */
+  upgradeTurret(turret, stat) {
+    super.upgradeTurret(turret, stat);
+    if (turret === this.selectedTurret) this.ui.updateTurretPanel(turret);
+  }
+
+  /** next targeting mode (closest → lowest HP → … → first to reach player) */
+  cycleTurretTargeting(turret) {
+    super.cycleTurretTargeting(turret);
+    if (turret === this.selectedTurret) this.ui.updateTurretPanel(turret);
+  }
+
+  /** removes the turret, gives the token back and refunds part of the mana */
+  sellTurret(turret) {
+    if (turret === this.selectedTurret) this.selectTurret(null);
+    super.sellTurret(turret);
+  }
+
+  /* ───── player commands ───────────────────────────────────────── */
+
+  /**
+   * Everything the player does besides holding keys goes through here, so a
+   * replay can record it and play it back at the same step:
+   *   { type: 'perk', index }            { type: 'turret', x, z }
+   *   { type: 'molotov', x, z }          { type: 'potion' }
+   *   { type: 'weapon', index, wrap }    { type: 'reload' }
+   *   { type: 'upgrade', id, stat }      { type: 'sell', id }
+   *   { type: 'targeting', id }        { type: 'difficulty', id }
+   * Live input is ignored while a replay is playing.
+   */
+  command(cmd) {
+    if (this.replay) return;
+    const rec = this.recorder;
+    rec?.input(this.tick, this.input, !!this.triggerPressed);   // keep keys and commands in order
+    rec?.command(this.tick, cmd);
+    this.execute(cmd);
+    rec?.settle(this.input, !!this.triggerPressed);
+  }
+
+  execute(cmd) {
+    // a perk is picked on the panel, which then closes and resumes the run
+    if (cmd.type === 'perk') return this.ui.pickChoice(cmd.index);
+
+    super.execute(cmd);
+    if (cmd.type === 'weapon' || cmd.type === 'reload') this.ui.updateWeaponHUD(this.weapons);
   }
 
 
@@ -179,6 +303,9 @@ export class Game {
     this.renderer.shadowMap.enabled = true; // Enable shadows
     // Clock for calculating delta time.
     this.clock = new THREE.Clock();
+    // real time not yet simulated, always < SIM_STEP between frames (see animate)
+    this.simAccumulator = 0;
+    this.interpolator   = new Interpolator();
     // this is used to measure game time, shown during game over
     this.sessionStart = performance.now(); 
   }
@@ -209,6 +336,11 @@ export class Game {
     // random spawning afterwards
     await this.loadStaticRocks();
     await this.loadStaticFences();
+    // enemy / turret models: parsed once here, cloned on every spawn
+    await preloadModels([
+      ...new Set(Object.values(ARCHETYPES).map(a => a.model)),
+      'assets/turret/scene.gltf',
+    ]);
 
     // force shader compilation so everything is ready for the first frame
     this.renderer.compile(this.scene, this.camera);
@@ -437,7 +569,7 @@ export class Game {
     const placeAt = (template, pos, scale, rotation)=>{
       const clone = template.clone(true);
       clone.scale.setScalar(scale);
-      clone.rotation.y = rotation ?? Math.random() * Math.PI * 2; // random heading is fine if rotation is not specified
+      clone.rotation.y = rotation ?? rng.stream('map').angle(); // random heading is fine if rotation is not specified
       clone.position.copy(pos);
 
       /* collision safety check */
@@ -490,6 +622,7 @@ export class Game {
 
     // ───── helper so we do it once per loop - no GC churn ──────────────
     const tmpBox = new THREE.Box3();
+    const random = rng.stream('map');   // same seed, same rocks
 
     for (let n = 0; n < rockCount; n++) {
 
@@ -505,15 +638,15 @@ export class Game {
         
         // to bias the scale towards smaller rocks
         // the distribution stays in [0, 1] but spends a lot more time near 0 with the cube
-        const t = Math.random() ** 3;                // 0‥1 but biased to 0
+        const t = random.next() ** 3;                // 0‥1 but biased to 0
         const s = THREE.MathUtils.lerp(minScale, maxScale, t);
         rock.scale.setScalar(s);
-        rock.rotation.y = Math.random() * Math.PI * 2;
+        rock.rotation.y = random.angle();
 
         rock.position.set(
-          THREE.MathUtils.randFloatSpread(mapHalfSize * 2),
+          random.spread(mapHalfSize * 2),
           0,
-          THREE.MathUtils.randFloatSpread(mapHalfSize * 2)
+          random.spread(mapHalfSize * 2)
         );
 
         // 2. compute its bounding box in world space
@@ -559,6 +692,7 @@ export class Game {
     const maxAttempts  = 40;        // tries per fence before giving up
 
     const tmpBox = new THREE.Box3();
+    const random = rng.stream('map');
 
     for (let n = 0; n < fenceCount; n++) {
 
@@ -570,11 +704,11 @@ export class Game {
 
         /* ---- fixed size & random orientation/position ---- */
         fence.scale.setScalar(fenceScale);
-        fence.rotation.y = Math.random() * Math.PI * 2;
+        fence.rotation.y = random.angle();
         fence.position.set(
-          THREE.MathUtils.randFloatSpread(mapHalfSize * 2), // x
+          random.spread(mapHalfSize * 2), // x
           0,
-          THREE.MathUtils.randFloatSpread(mapHalfSize * 2)  // z
+          random.spread(mapHalfSize * 2)  // z
         );
 
         fence.updateWorldMatrix(true, true);
@@ -598,126 +732,78 @@ export class Game {
   }
 
   initPathfinding() {
-    // const mapCells = 200;             // 200×200 => 1000 m² if cell = 5 m
-    // const cellSize = 5;               // world metres per cell
-    const mapCells = 250;
-    const cellSize = 2;
-    this.pathfinder = new GridPathFinder(mapCells, mapCells, cellSize);
+    super.initPathfinding();
     // this.pathfinder.showGrid(this.scene)
+    // this.pathfinder.drawObstacles(this.scene);
 
-    const padding = 0;
-    for (const box of this.staticColliders) {
-      // make a _copy_ so you don’t permanently warp your real bounding boxes
-      const padded = box.clone();
-      if (padding > 0) {
-        const padded = box.clone().expandByScalar(padding);
-      }
-      this.pathfinder.addCollider(padded);
+    // enemies' A* searches run in a worker, batched once per frame
+    this.pathService = new PathService(this.pathfinder);
+
+    if (this.replay) {
+      this.pathService.playback(this.replay.data.asyncPaths);
+      this.initReplayControls();
+    } else {
+      this.recorder = new ReplayRecorder({
+        seed: rng.seed, step: Game.SIM_STEP, asyncPaths: !!this.pathService.worker
+      });
+      this.pathService.onDeliver    = (seq) => this.recorder.path(this.tick, seq);
+      this.pathService.onMainThread = () => this.recorder.mainThread(this.tick);
     }
 
-    // this.pathfinder.drawObstacles(this.scene);
+    // ?bench in the URL → time the path-finder on this map (console table)
+    if (new URLSearchParams(location.search).has('bench')) {
+      import('./debug/pathBenchmark.js').then(m => m.runPathBenchmark(this.pathfinder));
+    }
   }
 
   initEnemySpawner() {
     // Enemy spawner to handle enemy creation.
-    this.enemySpawner = new EnemySpawner(
-      this.scene, 
-      this.player, 
-      this,
-      this.pathfinder
-    );
+    this.enemySpawner = new EnemySpawner(this.scene, this);
   }
 
   initGameState() {
 
     // Create the player
-    this.player = new Player(this.scene, this.camera);
-    this.player.game = this; // So player can access game and UI
-    this.scene.add(this.player.mesh);
-
-    // Set up a callback so that when the player’s knife attack reaches its hit moment,
-    // we check for nearby enemies and apply damage.
-    this.player.onKnifeHit = (damage) => {
-      const knifeRange = 10; // Define your knife range.
-      
-      // Compute the player's forward direction (assuming local forward is -Z).
-      const forward = new THREE.Vector3(0, 0, 1);
-      forward.applyQuaternion(this.player.mesh.quaternion).normalize();
-      
-      this.enemySpawner.enemies.forEach(enemy => {
-        // Compute the vector from the player to the enemy.
-        const toEnemy = enemy.mesh.position.clone().sub(this.player.mesh.position);
-        const distance = toEnemy.length();
-        
-        if (distance < knifeRange) {
-          // Normalize to get the direction.
-          toEnemy.normalize();
-          // Check if the enemy is in front of the player.
-          if (forward.dot(toEnemy) > 0) { // dot > 0 means enemy is in front.
-            const enemyDead = enemy.takeDamage(damage);
-            if (enemyDead) {
-              // Remove enemy from scene if health reaches 0
-              this.enemySpawner.removeEnemy(enemy);
-            }
-            else {
-              const knockback = damage * 0.5;   // impulse magnitude
-              const knockbackDir = toEnemy.clone();
-              // this will ensure the knockback is purely horizontal
-              // this is needed because the player is higher than the enemy
-              // so when the he hits him the knockback has a vertical component
-              // however, I didn't implement the collision detection
-              // with the ground, so the enemy would have sunk
-              // under the ground mesh. 
-              // That means that this knockback is not respecting 100%
-              // the laws of physics, since we are arbitrarily removing
-              // the vertical component of the knockback direction. 
-              // However, it is a good approximation and no ones cares. 
-              knockbackDir.y = 0;
-              knockbackDir.normalize();
-
-              enemy.velocity.add( // Δv = J / m
-                knockbackDir.multiplyScalar(knockback / enemy.mass)
-              );
-            }
-          }
-        }
-      });
-    };
-    
-    // Create the UI
-    this.turretTokens = 1900;          // how many the player can still place
-    this.molotovTokens = 1000;        // give player a few to start
+    this.attachPlayer(new Player(this.scene, this.camera));
 
+    // Create the UI
     this.ui = new UI();
-    this.ui.updateTurretCount(this.turretTokens);   // initial 0
-    this.ui.updateMolotovCount(this.molotovTokens); // initial 3
+    this.tokensChanged();
     this.ui.camera = this.camera;
     
     this.ui.setAvatar('assets/ui/avatar.png');
+    this.ui.updateWeaponHUD(this.weapons);
+
+    // the HUD only listens, the kill path decides when a level-up happens
+    this.events.addEventListener('level-up', (e) => {
+      this.ui.showLevelUp(e.level, this.player.mesh?.position.clone());
+    });
+    this.perkChoiceOpen = false;         // perk panel up, holds the pause
+    this.difficultyChoiceOpen = false;   // difficulty panel up, before the run
     
     // Create the Minimap
     this.minimap = new Minimap(1000 /* ground size */, 160 /* px */);
 
 
     // Create whatever
-    this.pickups = [];
-    this.turrets = [];
-    this.molotovs      = [];       // active instances
+    this.selectedTurret = null;    // clicked turret, shows the upgrade panel
+    this.ui.onCloseTurretPanel = () => this.selectTurret(null);
+    this.ui.onPerkClick = (index) => this.command({ type: 'perk', index });
     this.draggingMolotov = null;   // {img, ghost}
-    this._activePotion = null;
 
   }
 
   registerEventListeners() {
 
-    // Create an input object to track key states.
-    this.input = {};
+    // key states go into this.input (see Simulation)
+    this.showFlowField = false;   // G: debug drawing of the flow field
+    this.showPaths     = false;   // V: debug drawing of raw / smoothed enemy paths
 
     // Listen for window resize.
     window.addEventListener('resize', () => this.onWindowResize(), false);
 
-    // Listen for mouse clicks to shoot.
-    //this.container.addEventListener('click', (event) => this.onMouseClick(event));
+    // Shooting is driven from animate (see UPDATE WEAPON), so 'auto' guns
+    // keep firing while LMB is held; aim follows the last cursor position.
 
     this.isRMBPanning = false;        // are we currently panning? (RMB = Right Mouse Button)
     this.panPrev      = new THREE.Vector2(); // last mouse pos while panning
@@ -765,9 +851,19 @@ export class Game {
     this.defaultCursor = this.container.style.cursor || 'auto';
 
     this.container.addEventListener('mousedown', (event) => {
+      if (this.paused || this.replay) return;  // no attack queued up while paused / picking a perk
       if (event.button === 0) { // Left click
         if (this.draggingTurret || this.draggingMolotov) return; // Don't attack while dragging
+
+        // clicking a turret selects it instead of attacking
+        const turret = this.pickTurret(event.clientX, event.clientY);
+        if (turret) {
+          this.selectTurret(turret);
+          return;
+        }
+        this.selectTurret(null);
         this.input['MouseLeft'] = true;
+        this.triggerPressed = true;
       }
       if (event.button === 2) {            // RMB → start panning
 
@@ -780,7 +876,7 @@ export class Game {
       }
     });
     this.container.addEventListener('mouseup', (event) => {
-      if (event.button === 0) {
+      if (event.button === 0 && !this.replay) {
         this.input['MouseLeft'] = false;
       }
       if (event.button === 2) {
@@ -801,6 +897,20 @@ export class Game {
 
     // Listen for keydown and keyup events.
     window.addEventListener('keydown', (event) => {
+      /* replays: F9 saves this run, F8 picks a file to watch */
+      if (event.code === 'F9' || event.code === 'F8') {
+        event.preventDefault();
+        if (event.code === 'F9') this.recorder?.download();
+        else                     pickReplayFile();
+        return;
+      }
+
+      /* watching a replay: the keys drive playback, not the run */
+      if (this.replay) {
+        this.onReplayKey(event);
+        return;
+      }
+
       this.input[event.code] = true;
 
       /* Allow restart when the game is over */
@@ -809,6 +919,16 @@ export class Game {
         return;
       }
 
+      /* while a panel is up 1-3 pick a card instead of casting */
+      if (this.perkChoiceOpen || this.difficultyChoiceOpen) {
+        const pick = ['Digit1', 'Digit2', 'Digit3'].indexOf(event.code);
+        this.input[event.code] = false;
+        if (pick < 0) return;
+        if (this.perkChoiceOpen) this.command({ type: 'perk', index: pick });
+        else                     this.ui.pickChoice(pick);   // sends the 'difficulty' command
+        return;
+      }
+
       // Spells: 1 = turret, 2 = molotov (you can expand to 3, 4 later)
       switch (event.code) {
         case 'Digit1':
@@ -822,9 +942,16 @@ export class Game {
           this.simulatePointerMoveAtMouse();
           break;
         case 'Digit3':
-          Potion.tryConsume(this);
+          this.command({ type: 'potion' });
           break;
         case 'Digit4':
+        case 'Digit5':
+        case 'Digit6':
+        case 'Digit7':
+          this.command({ type: 'weapon', index: Number(event.code.slice(5)) - 4 });
+          break;
+        case 'KeyR':
+          this.command({ type: 'reload' });
           break;
         case 'KeyC': // toggle camera follow mode
           this.ui.cameraToggleBtn.click();
@@ -832,10 +959,25 @@ export class Game {
         case 'KeyP':
           this.togglePause();
           break;
+        case 'Escape':
+          this.selectTurret(null);
+          break;
+        case 'KeyT':
+          if (this.selectedTurret) this.command({ type: 'targeting', id: this.selectedTurret.id });
+          break;
+        case 'KeyV': // debug: show raw vs smoothed enemy paths
+          this.showPaths = !this.showPaths;
+          if (!this.showPaths) this.pathfinder?.hidePaths(this.scene);
+          break;
+        case 'KeyG': // debug: show the enemies' flow field
+          this.showFlowField = !this.showFlowField;
+          if (this.showFlowField) this.pathfinder?.drawFlowField(this.scene);
+          else                    this.pathfinder?.hideFlowField(this.scene);
+          break;
       }
     });
     window.addEventListener('keyup', (event) => {
-      this.input[event.code] = false;
+      if (!this.replay) this.input[event.code] = false;
     });
 
     /* ───── Mouse-wheel zoom ───────────────────────────────────── */
@@ -849,6 +991,12 @@ export class Game {
     this.container.addEventListener('wheel', e => {
       e.preventDefault();
 
+      // plain wheel switches weapon, Ctrl + wheel zooms
+      if (!e.ctrlKey) {
+        if (!this.paused) this.command({ type: 'weapon', index: this.weapons.index + Math.sign(e.deltaY), wrap: true });
+        return;
+      }
+
       const dir    = Math.sign(e.deltaY);           // -1 up   (zoom-in)
                                                     //  1 down (zoom-out)
       const factor = dir < 0 ? this.zoomStep : 1 / this.zoomStep;
@@ -868,7 +1016,7 @@ export class Game {
     this.turretPrefab     = null;   // loaded once, then cloned for the ghost
 
     this.ui.onStartTurretDrag = () => {
-      if (this.turretTokens <= 0) {
+      if (this.turretTokens <= 0 || this.replay) {
         return;
       }
       this.cancelActiveDrag();
@@ -901,8 +1049,7 @@ export class Game {
       }
 
       /* ───── add a range circle under that ghost ───── */
-      const RANGE_SQ = 5000;                        // same value as turret.range
-      const radius   = Math.sqrt(RANGE_SQ);         // convert to metres
+      const radius   = Turret.BASE_RANGE;           // same value as turret.range
           
       // thin ring looks nicer than a filled disc
       const ringGeo = new THREE.RingGeometry(radius * 0.93, radius, 64); // inner, outer
@@ -970,18 +1117,9 @@ export class Game {
 
       const pos = this.draggingTurret.ghost.position.clone();
       const ok  = !isNaN(pos.x) && this.isTurretPlacementValid(pos);
-      const turretCost = 50;
-      if (ok && this.player.spendMana(turretCost)) {
-        const turret = new Turret(
-          pos.clone(),
-          this.scene,
-          this.enemySpawner,
-          this.bullets
-        );
-        this.turrets.push(turret);
-
-        this.addTurretToken(-1);              // spend one token & refresh badge
-      } else if (!ok) {
+      if (ok) {
+        this.command({ type: 'turret', x: pos.x, z: pos.z });
+      } else {
         this.ui.showFloatingMessage("❌ Can't place turret here!", pos);
       }
 
@@ -995,7 +1133,7 @@ export class Game {
 
     /* ---------- DRAG-TO-PLACE MOLOTOV -------------------------------- */
     this.ui.onStartMolotovDrag = () => {
-      if (this.molotovTokens <= 0) return;
+      if (this.molotovTokens <= 0 || this.replay) return;
       this.cancelActiveDrag();
       /* tiny cursor ghost – reuse turret icon style */
       const img = this.ui.molotovBtn.cloneNode();
@@ -1036,7 +1174,7 @@ export class Game {
       }
     });
 
-    window.addEventListener('pointerup', async e => {
+    window.addEventListener('pointerup', e => {
 
       /* no drag in progress? */
       if (!this.draggingMolotov) return;
@@ -1053,12 +1191,8 @@ export class Game {
       this.draggingMolotov = null;              // reset state
 
       // /* --- 2.  If we still have a token, spawn a Molotov ------------ */
-      const molotovCost = 50;
-      if (!isNaN(dropPos.x) && this.player.spendMana(molotovCost)) {
-        const { Molotov } = await import('./Molotov.js');
-        const m = new Molotov(dropPos, this.scene, this.camera, this);
-        this.molotovs.push(m);
-        this.addMolotovToken(-1);
+      if (!isNaN(dropPos.x)) {
+        this.command({ type: 'molotov', x: dropPos.x, z: dropPos.z });
       }
     });
     /* ----------------------------------------------------------------- */
@@ -1106,47 +1240,37 @@ export class Game {
     window.dispatchEvent(evt);
   }
 
-  // Game.js – just under the constructor
-  addTurretToken(count = 1, worldPos = null) {
-    this.turretTokens += count;
-    this.ui.updateTurretCount(this.turretTokens);
+  /* ───── what the Simulation builds, with a view ──────────────── */
+  createBullet(pos, dir, opts) { return Bullet.acquire(pos, dir, this.scene, opts); }
+  createTurret(pos)            { return new Turret(pos, this); }
+  createMolotov(pos)           { return Molotov.acquire(pos, this); }
 
-    const pos = worldPos ?? this.player.mesh.position.clone();
-    this.ui.showFloatingMessage(`🛡️ +${count} Turret`, pos);
+  spawnPickup(pos, kind, amount) {
+    const pickup = super.spawnPickup(pos, kind, amount);
+    this.scene.add(pickup.mesh);
+    return pickup;
   }
 
-  addMolotovToken(count=1, worldPos=null){
-    this.molotovTokens += count;
-    this.ui.updateMolotovCount(this.molotovTokens);
-    const pos = worldPos ?? this.player.mesh.position.clone();
-    this.ui.showFloatingMessage(`🔥 +${count} Molotov`, pos);
+  discardPickup(pickup) {
+    pickup.destroy(this.scene);
   }
 
-  activateBulletHell() {
-    this.bulletHellActive = true;
-    this.bulletHellTimer = this.bulletHellDuration;
-    this.ui.showFloatingMessage(
-      "🔥 BULLET HELL! 🔥",
-      this.player.mesh.position.clone(),
-      { fontSize: 'px', color: 'red', duration: 3 }
-    );
-  }
+  /* ───── the Simulation's messages, on screen ──────────────────── */
+  notify(text, pos)     { this.ui.showFloatingMessage(text, pos); }
+  announce(text, secs)  { this.ui.showMessage(text, secs); }
 
+  tokensChanged() {
+    this.ui.updateTurretCount(this.turretTokens);
+    this.ui.updateMolotovCount(this.molotovTokens);
+    this.ui.updatePotionCount(this.potionTokens);
+  }
 
-  activateKnifeSpeedPowerupThree() {
-    this.knifeSpeedPowerupActive = true;
-    this.knifeSpeedPowerupTimer = this.knifeSpeedPowerupDuration;
-    // Display a message on screen.
-    this.ui.showFloatingMessage("⚡ Knife Speed Powerup Activated!", this.player.mesh.position.clone());
+  /** one hit on a turret; a destroyed one can't stay selected */
+  damageTurret(turret, damage) {
+    const destroyed = super.damageTurret(turret, damage);
+    if (destroyed && this.selectedTurret === turret) this.selectTurret(null);
+    return destroyed;
   }
-  
-  
-  activateAttackVelocityBuff() {
-    this.attackVelocityBuffActive = true;
-    this.attackVelocityBuffTimer = this.attackVelocityBuffDuration;
-    // Display a message on the screen.
-    this.ui.showFloatingMessage("⚡ Knife Buff!", this.player.mesh.position.clone());
-  }  
 
   onWindowResize() {
     const aspect = this.container.clientWidth / this.container.clientHeight;
@@ -1159,13 +1283,13 @@ export class Game {
     this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
   }
   
-  onMouseClick(event) {
+  /** where the screen point (client px) hits the ground plane y = 0, or null */
+  screenToGround(clientX, clientY) {
     // Calculate normalized device coordinates (NDC)
-    if (this.draggingTurret || this.draggingMolotov) return; // Don't shoot while dragging
     const rect = this.renderer.domElement.getBoundingClientRect();
     const mouse = new THREE.Vector2(
-      ((event.clientX - rect.left) / rect.width) * 2 - 1,
-      -((event.clientY - rect.top) / rect.height) * 2 + 1
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
     );
 
     // Set up a raycaster from the camera through the mouse position.
@@ -1174,36 +1298,113 @@ export class Game {
 
     // Intersect with a horizontal plane at y = 0.
     const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-    const intersectionPoint = new THREE.Vector3();
-    raycaster.ray.intersectPlane(plane, intersectionPoint);
-
-    if (intersectionPoint) {
-      const direction = intersectionPoint.sub(this.player.mesh.position).normalize();
-      const bullet = new Bullet(this.player.mesh.position.clone(), direction, this.scene);
-      // Add the player's current velocity to the bullet.
-      bullet.velocity.add(this.player.velocity);
-      // Apply buff: increase bullet speed if the buff is active.
-      if (this.attackVelocityBuffActive) {
-        bullet.velocity.multiplyScalar(this.attackVelocityBuffMultiplier);
-      }
-      this.bullets.push(bullet);
-      this.scene.add(bullet.mesh);
+    return raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+  }
+
+  /**
+   * Where a shot fired this step goes: the ground under the cursor (rounded
+   * and recorded), or while watching a replay the point recorded back then.
+   */
+  aimPoint() {
+    if (this.replay) {
+      const aim = this.replay.aim(this.tick);
+      return aim && new THREE.Vector3(aim.x, 0, aim.z);
     }
+    const aim = this.screenToGround(this.panPrev.x, this.panPrev.y);
+    if (!aim) return null;
+    aim.set(quantize(aim.x), 0, quantize(aim.z));
+    this.recorder?.aim(this.tick, aim.x, aim.z);
+    return aim;
   }
 
   start() {
     this.animate();
   }
 
+  /* ───── replay playback ───────────────────────────────────────── */
+  static SEEK_BUDGET_MS = 30;   // fast-forwarding runs this long per frame
+
+  initReplayControls() {
+    this.replayPaused = false;
+    this.ui.showReplayBar(this.replay.ticks, Game.SIM_STEP, {
+      onToggle: () => this.toggleReplayPause(),
+      onSpeed:  (speed) => { this.replaySpeed = speed; },
+      onSeek:   (tick) => this.seekReplay(tick),
+    });
+    this.ui.showMessage(`⏺ Replay · seed ${this.replay.seed}`, 2);
+  }
+
+  /** Space pauses, 1 / 2 / 4 set the speed, ← / → jump 10 s; C, V, G as usual */
+  onReplayKey(event) {
+    const jump = Math.round(10 / Game.SIM_STEP);
+    switch (event.code) {
+      case 'Space':
+        event.preventDefault();
+        this.toggleReplayPause();
+        break;
+      case 'Digit1': this.replaySpeed = 1; break;
+      case 'Digit2': this.replaySpeed = 2; break;
+      case 'Digit4': this.replaySpeed = 4; break;
+      case 'ArrowLeft':  this.seekReplay(this.tick - jump); break;
+      case 'ArrowRight': this.seekReplay(this.tick + jump); break;
+      case 'KeyC': this.ui.cameraToggleBtn.click(); break;
+      case 'KeyV':
+        this.showPaths = !this.showPaths;
+        if (!this.showPaths) this.pathfinder?.hidePaths(this.scene);
+        break;
+      case 'KeyG':
+        this.showFlowField = !this.showFlowField;
+        if (this.showFlowField) this.pathfinder?.drawFlowField(this.scene);
+        else                    this.pathfinder?.hideFlowField(this.scene);
+        break;
+    }
+  }
+
+  toggleReplayPause() {
+    // at the end, "play" starts the replay over
+    if (this.replay.finished(this.tick)) return this.seekReplay(0);
+    this.replayPaused = !this.replayPaused;
+  }
+
+  /**
+   * Jumps to step `tick`. Forward fast-forwards from here; backward can only
+   * replay from the start, so the page reloads into the same replay.
+   */
+  seekReplay(tick) {
+    tick = THREE.MathUtils.clamp(Math.round(tick), 0, this.replay.ticks);
+    if (tick < this.tick) startPlayback(this.replay.data, tick);
+    else                  this.seekTarget = tick;
+  }
+
+  /** applies what was recorded before the coming step: keys, commands, paths */
+  playEvents() {
+    this.replay.run(this.tick, {
+      key: (code, down) => {
+        if (code === 'Trigger') this.triggerPressed = down;
+        else                    this.input[code] = down;
+      },
+      command:    (cmd) => this.execute(cmd),
+      path:       (seq) => this.pathService.deliver(seq),
+      mainThread: () => this.pathService.playback(false),
+    });
+  }
+
+  /** runs steps toward seekTarget until the frame's time budget is spent */
+  fastForward() {
+    const until = performance.now() + Game.SEEK_BUDGET_MS;
+    while (this.tick < this.seekTarget && performance.now() < until) {
+      this.playEvents();
+      if (this.paused || this.isGameOver) break;
+      this.step(Game.SIM_STEP);
+    }
+    this.simAccumulator = 0;
+    this.interpolator.begin();   // nothing to blend from after a jump
+  }
+
 
   onPlayerDeath() {
     if (this.isGameOver) return;      // already handled
- 
-    this.isGameOver = true;
-    
-    /* Freeze all enemies & animations -------------------------------- */
-    this.enemySpawner?.pause?.();     // only if you added a pause() method
-    this.turrets.forEach(t => t.active = false); 
+    super.onPlayerDeath();            // freezes the horde
 
      /* spotlight over the body ------------------------------------- */
     const spot = new THREE.SpotLight(0xffffff, 2, 60, Math.PI/7, .5, 1);
@@ -1230,39 +1431,37 @@ export class Game {
         const ms    = performance.now() - this.sessionStart;
         const m = Math.floor(ms/60000), s = Math.floor((ms%60000)/1000);
         const timeStr = `${m}:${s.toString().padStart(2,'0')}`;
-        this.ui.showGameOver(wave, timeStr);
+        this.ui.showGameOver(wave, timeStr, rng.seed);
       });
 
     }, 2000);
 
   }
 
-  animate() {
-
-    requestAnimationFrame(() => this.animate());
-    
-    const delta = this.clock.getDelta();
-
-    // is the game paused? Don't update anything, just re-render the current frame.
-    if (this.paused) {
-      this.renderer.render(this.scene, this.camera);
-      return;
-    }
-
-    // GAME OVER? Don't update anything.
-    if (this.isGameOver) {
-      this.renderer.render(this.scene, this.camera); // still draw spotlight
-      return;                                        // skip all gameplay
-    }
-
-    // wait until the player mesh has been loaded
-    if (!this.player.mesh) {          // still null? Skip logic this frame
-      return;
-    }
+  /* ───── fixed-step simulation ─────────────────────────────────── */
+  static MAX_STEPS      = 5;        // per rendered frame, beyond that the backlog is dropped
+  static MAX_FRAME_TIME = 0.25;     // longest real frame time taken into account
+
+  /** poses before a step, for the interpolated render (see Interpolator) */
+  snapshotPoses() {
+    const ip = this.interpolator;
+    ip.begin();
+    ip.add(this.camera);
+    ip.add(this.player.mesh);
+    for (const enemy of this.enemySpawner?.enemies ?? []) ip.add(enemy.mesh);
+    for (const bullet of this.bullets) ip.add(bullet.mesh);
+  }
 
-    // -------------------------- UPDATE PLAYER --------------------------
-    this.player.update(delta, this.input, this.cameraAngle);
-    // ---------------------- END UPDATE PLAYER --------------------------
+  /**
+   * One Simulation.step, recorded for the replay, then what follows the
+   * player on screen: the sun, the camera, the debug overlays. Rendering and
+   * the HUD stay in animate().
+   */
+  step(delta) {
+    this.recorder?.input(this.tick, this.input, !!this.triggerPressed);
+    super.step(delta);
+    this.recorder?.settle(this.input, !!this.triggerPressed);
+    if (this.recorder) this.recorder.ticks = this.tick;
 
     // --------------------------- UPDATE LIGHTS --------------------------
     // Make the sunlight follow the action so its 600 x 600 m box 
@@ -1275,101 +1474,17 @@ export class Game {
     l.target.updateMatrixWorld();
     // ---------------------- END UPDATE LIGHTS --------------------------
 
-    // --------------------------- UPDATE ENEMIES --------------------------
-    if (this.enemySpawner) {
-      // Update the enemy spawner
-      this.enemySpawner.update(delta);
-      // Update each enemy and check for enemy attacks
-      for (let enemy of this.enemySpawner.enemies) {
-        enemy.update(delta, this.camera);
-
-        if (enemy.isAttacking && enemy.attackAction) {
-          // Check if the attack animation has looped:
-          // If the current attack action time is less than the last recorded time,
-          // it means a new cycle has started.
-          if (enemy.attackAction.time < enemy.lastAttackCycleTime) {
-            enemy.hasDamaged = false;
-          }
-          enemy.lastAttackCycleTime = enemy.attackAction.time;
-      
-          // Define the coverage area for the enemy's attack.
-          const attackRange = 5;
-          const distance = enemy.mesh.position.distanceTo(this.player.mesh.position);
-      
-          // If the player is within the attack range and damage hasn't been applied for this cycle:
-          if (distance < attackRange && !enemy.hasDamaged) {
-            this.player.takeDamage(10);
-            enemy.hasDamaged = true;
-          }
-        } else {
-          // Reset the damage flag when the enemy is not in attack state.
-          enemy.hasDamaged = false;
-        }
-      }
+    // ------------------------ DEBUG: FLOW FIELD & PATHS ------------------------
+    if (this.pathfinder && this.showFlowField && this.pathfinder.flowVersion !== this.drawnFlowVersion) {
+      this.pathfinder.drawFlowField(this.scene);
+      this.drawnFlowVersion = this.pathfinder.flowVersion;
     }
-    // ----------------------- END UPDATE ENEMIES --------------------------
-    
-    // --------------------------- UPDATE BULLETS --------------------------
-    for (let i = this.bullets.length - 1; i >= 0; i--) {
-      const bullet = this.bullets[i];
-      bullet.update(delta);
-
-      // Check collision between this bullet and all enemies.
-      for (let j = this.enemySpawner.enemies.length - 1; j >= 0; j--) {
-        const enemy = this.enemySpawner.enemies[j];
-        // Calculate collision based on the sum of radii.
-        const collisionDistance = bullet.radius + enemy.radius;
-        const distance = bullet.mesh.position.distanceTo(enemy.mesh.position);
-        if (distance < collisionDistance) {
-          // kinetic energy E = ½ m v²  (use v² = |v|² to avoid a sqrt) for bullet damage calculation
-          const energy  = 0.5 * bullet.mass * bullet.velocity.lengthSq();
-          const baseDmg = energy * 0.02;
-          const dmg     = bullet.damage ?? baseDmg; // if power-ups set bullet.damage, use that
-          const enemyDead = enemy.takeDamage(dmg);
-          if (enemyDead) {
-            // Remove enemy from scene if health reaches 0.
-            this.enemySpawner.removeEnemy(enemy);
-          }
-          // Remove the bullet after it hits.
-          this.scene.remove(bullet.mesh);
-          this.bullets.splice(i, 1);
-          break;
-        }
-      }
-    }
-    // ------------------------- END UPDATE BULLETS --------------------------
-
-    // --------------------------- UPDATE PICKUPS --------------------------
-    for (let i = this.pickups.length - 1; i >= 0; i--) {
-      const heart = this.pickups[i];
-      const collected = heart.update(delta);
-      if (collected) {
-        this.scene.remove(heart.mesh);
-        heart.destroy(this.scene);
-        this.pickups.splice(i, 1);
-        this.ui.showFloatingMessage("+20 HP 💖", this.player.mesh.position.clone());
-      }      
-    }
-    // ------------------------- END UPDATE PICKUPS --------------------------
-
-    // --------------------------- UPDATE UI --------------------------
-    this.ui.update(this.enemySpawner?.currentWave ?? 0);
-    // ------------------------- END UPDATE UI --------------------------
-    
+    if (this.enemySpawner && this.showPaths) this.pathfinder.drawPaths(this.scene, this.enemySpawner.enemies);
+    // ---------------------- END DEBUG: FLOW FIELD & PATHS ----------------------
 
     // --------------------------- UPDATE CAMERA --------------------------
-    const rotationSpeed = 1.0; // Radians per second
-
-    if (this.input['KeyQ']) {
-      // Rotate camera to the left.
-      this.cameraAngle -= delta * rotationSpeed;
-    }
-    if (this.input['KeyE']) {
-      // Rotate camera to the right.
-      this.cameraAngle += delta * rotationSpeed;
-    }
-    
-    // Position the camera based on follow mode.
+    // Position the camera based on follow mode
+    // (Q / E turn cameraAngle in Simulation.step).
     if (this.cameraFollow && this.player.mesh) {
       /*------------------------------------------------------------
         Spring-damper camera smoothing
@@ -1415,32 +1530,76 @@ export class Game {
      this.camera.lookAt(this.fixedCameraCenter);
     }
     // ------------------------- END UPDATE CAMERA --------------------------
+  }
+
+  animate() {
+
+    requestAnimationFrame(() => this.animate());
     
-    
-    // --------------------------- UPDATE TURRETS --------------------------
-    for (const t of this.turrets) t.update(delta);
-    // ------------------------- END UPDATE TURRETS --------------------------
-
-    // --------------------------- UPDATE MOLOTOVS --------------------------
-    for(let i=this.molotovs.length-1;i>=0;i--) {
-      const m=this.molotovs[i];
-      m.enemies = this.enemySpawner.enemies; // each frame, we give to each molotov a fresh list of the enemies
-      const dead = m.update(delta);
-      if(dead){
-        this.molotovs.splice(i,1);
+    // a hitch or a background tab must not become one giant step
+    const frameTime = Math.min(this.clock.getDelta(), Game.MAX_FRAME_TIME) * this.replaySpeed;
+
+    // a replay plays what happened before this step even while paused:
+    // the recorded perk pick is what resumes the run
+    if (this.replay && this.player.model) {
+      this.playEvents();
+      if (this.tick < this.seekTarget) this.fastForward();
+      this.ui.updateReplayBar(this.tick, !this.replayPaused && !this.replay.finished(this.tick), this.replaySpeed);
+      if (this.replayPaused) {
+        this.renderer.render(this.scene, this.camera);
+        return;
       }
     }
-    // ------------------------- END UPDATE MOLOTOVS --------------------------
 
-    // --------------------------- UPDATE POTION --------------------------
-    if (this._activePotion && this._activePotion.update(delta)) {
-      // if update() returned true the buff expired & cleaned itself
-      this._activePotion = null;
+    // is the game paused? Don't update anything, just re-render the current frame.
+    if (this.paused) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    // GAME OVER? Don't update anything.
+    if (this.isGameOver) {
+      this.renderer.render(this.scene, this.camera); // still draw spotlight
+      return;                                        // skip all gameplay
+    }
+
+    // wait until the player model has been loaded
+    if (!this.player.model) {         // still null? Skip logic this frame
+      return;
     }
-    // ------------------------- END UPDATE POTION --------------------------
+
+    // ------------------------- FIXED-STEP SIMULATION -------------------------
+    // the simulation always advances by SIM_STEP, as many times as the real
+    // time since the last frame allows; the leftover carries over
+    this.simAccumulator += frameTime;
+    let steps = 0;
+    while (this.simAccumulator >= Game.SIM_STEP) {
+      if (this.replay) {
+        this.playEvents();
+        if (this.replay.finished(this.tick)) {
+          this.simAccumulator = 0;
+          break;
+        }
+      }
+      if (this.paused || this.isGameOver) break;
+      if (steps === Game.MAX_STEPS * this.replaySpeed) {    // can't keep up: drop the backlog rather than spiral
+        this.simAccumulator = 0;
+        break;
+      }
+      this.snapshotPoses();
+      this.step(Game.SIM_STEP);
+      this.simAccumulator -= Game.SIM_STEP;
+      steps++;
+    }
+    // ----------------------- END FIXED-STEP SIMULATION -----------------------
+
+    // --------------------------- UPDATE UI --------------------------
+    this.ui.updateWeaponHUD(this.weapons);
+    this.ui.updatePowerUps(this.powerUps.running);
+    this.ui.update(this.enemySpawner?.currentWave ?? 0);
+    // ------------------------- END UPDATE UI --------------------------
 
     // --------------------------- UPDATE PLAYER BARS --------------------------
-    this.player.regenMana(delta);
     this.ui.updateManaBar((this.player.mana / this.player.maxMana) * 100);
 
     this.ui.updatePlayerBars(
@@ -1455,6 +1614,9 @@ export class Game {
         null
     );    
     this.ui.updateLevelRing(this.player.level, this.player.xpPct);
+
+    const boss = this.enemySpawner.boss;
+    if (boss) this.ui.updateBossBar((boss.health / boss.maxHealth) * 100);
     // ------------------------- END UPDATE PLAYER BARS --------------------------
 
 
@@ -1467,7 +1629,9 @@ export class Game {
     );
     // --------------------------- END UPDATE MINIMAP --------------------------
 
-    // Render the scene.
+    // Render the scene part-way into the next step, then back to the sim state.
+    this.interpolator.apply(this.simAccumulator / Game.SIM_STEP);
     this.renderer.render(this.scene, this.camera);
+    this.interpolator.restore();
   }
 }
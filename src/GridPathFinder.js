@@ -1,22 +1,32 @@
-// A simple A* on a 2-D boolean grid
+// A* on a 2-D boolean grid (binary-heap open set, typed-array buffers).
+// The search itself lives in the THREE-free PathGrid, shared with PathWorker;
+// this class adds world-space helpers, obstacles, the flow field and debug draws.
 import * as THREE from 'three';
+import { PathGrid, CellHeap, NEIGH_X, NEIGH_Z, NEIGH_COST } from './PathGrid.js';
+
+export class GridPathFinder extends PathGrid {
+  static SMOOTH_CLEARANCE = 0.8;   // metres kept from walls when cutting corners
 
-export class GridPathFinder {
   /**
    * @param {number} sizeX   number of cells in X
    * @param {number} sizeZ   number of cells in Z
    * @param {number} cell    world-space metres per cell (e.g. 1)
    */
   constructor(sizeX, sizeZ, cell = 1) {
-    this.sizeX = sizeX; // columns
-    this.sizeZ = sizeZ; // rows
-    this.cell  = cell;
+    super(sizeX, sizeZ, cell);
+
+    this.obstacles     = new Map();   // handle → Int32Array of cell indices
+    this._nextObstacle = 1;
 
-    // Origin offset so world-space (0,0) maps to grid-center
-    this.offsetX = Math.floor(sizeX / 2);
-    this.offsetZ = Math.floor(sizeZ / 2);
+    // flow field toward one goal (the player), see updateFlowField
+    this.flowEnabled = true;
+    this.flowGoal    = -1;          // goal cell index, -1 = not built yet
+    this.flowVersion = 0;           // bumped on every rebuild
+    this._flowDebug  = null;
 
-    this.grid  = new Uint8Array( sizeX * sizeZ ).fill(1); // true  = walkable, false = blocked
+    // how smoothPath treats raw cell-centre routes
+    this.smoothing  = { stringPull: true, catmullRom: true };
+    this._pathDebug = null;
 
     this._debugLine = null; // track last path line drawn for debug so we can remove it later
     // track the current start / goal meshes so we can delete them next time */
@@ -113,6 +123,50 @@ export class GridPathFinder {
         this.set(gx, gz, 0);
       }
     }
+    this.version++;
+  }
+
+  /**
+   * Blocks every cell under `box` until removeObstacle(handle) is called.
+   * @param {THREE.Box3} box
+   * @returns {number} handle
+   */
+  addObstacle(box) {
+    const mn = this.worldToCell(box.min);
+    const mx = this.worldToCell(box.max);
+    const cells = [];
+
+    for (let gz = Math.max(0, mn.y); gz <= Math.min(this.sizeZ - 1, mx.y); gz++) {
+      for (let gx = Math.max(0, mn.x); gx <= Math.min(this.sizeX - 1, mx.x); gx++) {
+        const i = gz * this.sizeX + gx;
+        this.blockers[i]++;
+        cells.push(i);
+      }
+    }
+
+    const handle = this._nextObstacle++;
+    this.obstacles.set(handle, Int32Array.from(cells));
+    this.version++;
+    return handle;
+  }
+
+  /** @returns {boolean} false if the handle was unknown (already removed) */
+  removeObstacle(handle) {
+    const cells = this.obstacles.get(handle);
+    if (!cells) return false;
+    for (const i of cells) this.blockers[i]--;
+    this.obstacles.delete(handle);
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Closest walkable cell to `cell`, searched ring by ring.
+   * @returns {THREE.Vector2|null} null if nothing is free within maxRadius
+   */
+  nearestWalkable(cell, maxRadius = 8) {
+    const i = this.nearestWalkableIndex(cell.x, cell.y, maxRadius);
+    return i < 0 ? null : new THREE.Vector2(i % this.sizeX, Math.floor(i / this.sizeX));
   }
 
   /** Convert a THREE.Vector3 or Vector2 in world-space to cell indices */
@@ -122,6 +176,17 @@ export class GridPathFinder {
     return new THREE.Vector2(x, z);
   }
 
+  /** flat index (z * sizeX + x) of the cell under a world position, -1 off the grid */
+  cellIndex(v) {
+    const c = this.worldToCell(v);
+    if (c.x < 0 || c.y < 0 || c.x >= this.sizeX || c.y >= this.sizeZ) return -1;
+    return c.y * this.sizeX + c.x;
+  }
+
+  indexToWorld(i) {
+    return this.cellToWorld(new THREE.Vector2(i % this.sizeX, Math.floor(i / this.sizeX)));
+  }
+
   cellToWorld(cell) {
     const worldX = (cell.x - this.offsetX + 0.5) * this.cell;
     const worldZ = (cell.y - this.offsetZ + 0.5) * this.cell;
@@ -129,15 +194,6 @@ export class GridPathFinder {
   }
 
 
-  set(x, z, walkable) {
-    if ( x < 0 || z < 0 || x >= this.sizeX || z >= this.sizeZ ) return;
-    this.grid[ z * this.sizeX + x ] = walkable;
-  }
-  get(x, z) {
-    if ( x < 0 || z < 0 || x >= this.sizeX || z >= this.sizeZ ) return 0;
-    return this.grid[z * this.sizeX + x];
-  }
-
   // ───────────────────────────────────────────
   // A* search – returns an array of world-space THREE.Vector3
   // ───────────────────────────────────────────
@@ -163,117 +219,249 @@ export class GridPathFinder {
     //   this._goalMarker  = this.highlightCell(goal,  scene, 0xff0000); // red
     // }
 
-    if (!this.get(goal.x, goal.y)) { // goal blocked
-      return [];
+    const route = this.route(start.x, start.y, goal.x, goal.y);
+    if (!route) return [];    // no path
+    const path = this.routeToWorld(route, goalW);
+
+    // // DEBUG, comment while gaming
+    // // ─── remove previous debug line ─────────────────────────────────
+    // if (this._debugLine && scene) {
+    //   scene.remove(this._debugLine);
+    //   this._debugLine.geometry.dispose();
+    //   this._debugLine.material.dispose();
+    //   this._debugLine = null;
+    // }
+
+    // // DEBUG, comment while gaming
+    // // draw the path in the scene for debugging
+    // if (scene && path.length) {
+    //   // lift it slightly off the ground so you can see it
+    //   const linePts = path.map(p => p.clone().setY(0.05));
+    //   const geo      = new THREE.BufferGeometry().setFromPoints(linePts);
+    //   const mat      = new THREE.LineBasicMaterial({ color: 0x00ffff });
+    //   const line     = new THREE.Line(geo, mat);
+    //   scene.add(line);
+    //   this._debugLine = line; // store for later removal
+    // }
+
+    return path;
+  }
+
+  /**
+   * World-space way-points for a PathGrid.route result: cell centres, except
+   * that an exact route ends on `goalW` itself.
+   */
+  routeToWorld({ cells, exact }, goalW) {
+    const path = Array.from(cells, i => this.indexToWorld(i));
+    if (exact) path[path.length - 1].set(goalW.x, 0, goalW.z);
+    return path;
+  }
+
+  /**
+   * Turns a raw route (cell centres, from findPath / flowPath) into what an
+   * enemy standing at `from` should walk: string-pulled against the grid,
+   * then optionally sampled along a centripetal Catmull-Rom spline. The
+   * spline is dropped if it would clip a wall. `from` itself isn't returned.
+   */
+  smoothPath(raw, from) {
+    if (raw.length < 2 || !this.smoothing.stringPull) return raw;
+
+    const clearance = GridPathFinder.SMOOTH_CLEARANCE;
+    let path = this.stringPull([from, ...raw.slice(1)], clearance);
+
+    if (this.smoothing.catmullRom && path.length > 2) {
+      const curve   = new THREE.CatmullRomCurve3(path.map(p => new THREE.Vector3(p.x, 0, p.z)), false, 'centripetal');
+      const samples = curve.getSpacedPoints(Math.max(2, Math.ceil(curve.getLength() / this.cell)));
+      let clear = true;
+      for (let i = 1; i < samples.length && clear; i++) clear = this.clearPath(samples[i - 1], samples[i], clearance);
+      if (clear) {
+        samples[samples.length - 1] = path[path.length - 1];   // keep the exact (maybe live) goal
+        path = samples;
+      }
     }
+    return path.slice(1);
+  }
 
-    const open = new Map(); // nodes to explore (OPEN set)
-    const came = new Map(); // backtracking path
-    const g    = new Map(); // g(n): cost so far from start
-    const f    = new Map(); // f(n) = g(n) + h(n): estimated total cost
-
-    // const neigh = [[1,0], [-1,0], [0,1], [0,-1]];
-    const neigh = [
-      [ 1,  0], [-1,  0],
-      [ 0,  1], [ 0, -1],
-      [ 1,  1], [-1,  1],
-      [ 1, -1], [-1, -1]
-    ];
-
-    // const h = (a,b) => Math.abs(a.x-b.x) + Math.abs(a.y-b.y); // Estimated Manhattan distance to the goal
-    // Replace your h = (a,b) => |dx|+|dy|
-    const h = (a,b) => {
-      const dx = Math.abs(a.x - b.x);
-      const dz = Math.abs(a.y - b.y);
-      // octile distance:
-      return (Math.SQRT2 - 1) * Math.min(dx,dz) + Math.max(dx,dz);
+  /**
+   * Debug: raw routes in red, smoothed ones in cyan, for every walker with a
+   * `rawPath` / `path` pair. Rebuilt on each call, so call it once per frame.
+   */
+  drawPaths(scene, walkers) {
+    this.hidePaths(scene);
+
+    const raw = [], smooth = [];
+    const segments = (out, pts, y) => {
+      for (let i = 1; i < pts.length; i++) out.push(pts[i - 1].x, y, pts[i - 1].z, pts[i].x, y, pts[i].z);
     };
+    for (const w of walkers) {
+      segments(raw, w.rawPath ?? [], 0.1);
+      segments(smooth, [w.mesh.position, ...w.path.slice(w.nextWP)], 0.15);
+    }
 
-    const key = (v) => `${v.x},${v.y}`;
+    this._pathDebug = new THREE.Group();
+    for (const [pos, color] of [[raw, 0xff3030], [smooth, 0x00ffff]]) {
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
+      this._pathDebug.add(new THREE.LineSegments(geo, new THREE.LineBasicMaterial({ color })));
+    }
+    scene.add(this._pathDebug);
+  }
 
-    // adds a node to the OPEN set
-    // with its g(n) and f(n)
-    const push = (v, gCost) => {
-      const k = key(v);
-      open.set(k, v);
-      g.set(k, gCost);
-      f.set(k, gCost + h(v,goal));
-    };
+  hidePaths(scene) {
+    if (!this._pathDebug) return;
+    scene.remove(this._pathDebug);
+    for (const line of this._pathDebug.children) {
+      line.geometry.dispose();
+      line.material.dispose();
+    }
+    this._pathDebug = null;
+  }
 
-    // initialize with start node g = 0, so f = h(start,goal)
-    push(start, 0);
+  // ─────────────────────────────────────────────────────────────────
+  // Flow field – one Dijkstra from the goal serves every chasing enemy
+  // ─────────────────────────────────────────────────────────────────
 
-    // while there are nodes to explore
-    while (open.size) {
-      // node in open with lowest f
-      let current, cf = Infinity;
-      for ( const [k,v] of open ) {
-        const fv = f.get(k);
-        if (fv < cf) {cf = fv; current = v;}
-      }
-      const ck = key(current);
-
-      // if we reached the goal reorder the path
-      if (current.equals(goal)) {
-
-        // reconstruct
-        const path = [];
-        let cur = ck;
-        while (cur) {
-          const [x,z] = cur.split(',').map(Number);
-          if (x === goal.x && z === goal.y) {
-            path.push(new THREE.Vector3(goalW.x, 0, goalW.z));
-          } else {
-            path.push(this.cellToWorld(new THREE.Vector2(x, z)));
-          }
-          cur = came.get(cur);
-        }
+  get hasFlowField() {
+    return this.flowEnabled && this.flowGoal >= 0;
+  }
 
-        // // DEBUG, comment while gaming
-        // // ─── remove previous debug line ─────────────────────────────────
-        // if (this._debugLine && scene) {
-        //   scene.remove(this._debugLine);
-        //   this._debugLine.geometry.dispose();
-        //   this._debugLine.material.dispose();
-        //   this._debugLine = null;
-        // }
-
-        // // DEBUG, comment while gaming
-        // // draw the path in the scene for debugging
-        // if (scene && path.length) {
-        //   // lift it slightly off the ground so you can see it
-        //   const linePts = path.map(p => p.clone().setY(0.05));
-        //   const geo      = new THREE.BufferGeometry().setFromPoints(linePts);
-        //   const mat      = new THREE.LineBasicMaterial({ color: 0x00ffff });
-        //   const line     = new THREE.Line(geo, mat);
-        //   scene.add(line);
-        //   this._debugLine = line; // store for later removal
-        // }
-
-        return path.reverse();
-      }
+  /**
+   * Rebuilds the flow field toward `goalW` if the goal moved to another cell
+   * or an obstacle came or went since the last build; a no-op otherwise, so
+   * Game can call it every frame.
+   * @returns {boolean} true if it was rebuilt
+   */
+  updateFlowField(goalW) {
+    if (!this.flowEnabled) return false;
 
-      open.delete(ck);
+    let goal = this.worldToCell(goalW);
+    if (!this.get(goal.x, goal.y)) {
+      goal = this.nearestWalkable(goal);
+      if (!goal) return false;
+    }
+    const goalI = goal.y * this.sizeX + goal.x;
+    if (goalI === this.flowGoal && this.version === this._flowBuiltFor) return false;
 
-      // expand neighbors of the current node
-      for (const [dx,dz] of neigh) {
-        const nx = current.x + dx;
-        const nz = current.y + dz;
-        if (!this.get(nx, nz)) continue;           // wall
+    this.buildFlowField(goalI);
+    return true;
+  }
+
+  /**
+   * Integration field: flowCost[i] is the path cost (in cells) from cell i
+   * to the goal, Infinity if unreachable. Direction field: flowNext[i] is the
+   * neighbour to step to, -1 at the goal and on unreachable cells.
+   */
+  buildFlowField(goalI) {
+    const { sizeX, sizeZ, grid, blockers } = this;
+
+    if (!this.flowCost) {
+      const n = sizeX * sizeZ;
+      this.flowCost  = new Float64Array(n);   // exact sums, so settled cells never improve again
+      this.flowNext  = new Int32Array(n);
+      this._flowHeap = new CellHeap(n, this.flowCost);
+    }
+    const { flowCost: cost, flowNext: next, _flowHeap: open } = this;
 
-        // const nk  = `${nx},${nz}`;
-        // const ng  = g.get(ck) + 1;                     // all edges cost 1
-        // diagonal if both dx and dz are nonzero
-        const cost = (dx !== 0 && dz !== 0) ? Math.SQRT2 : 1;
-        const nk   = `${nx},${nz}`;
-        const ng   = g.get(ck) + cost;
+    cost.fill(Infinity);
+    next.fill(-1);
+    cost[goalI] = 0;
+    open.clear();
+    open.push(goalI);
 
-        if ( !g.has(nk) || ng < g.get(nk) ) {
-          came.set( nk, ck );
-          push(new THREE.Vector2(nx,nz), ng);
-        }
+    while (open.size) {
+      const cur = open.pop();
+      const cx  = cur % sizeX;
+      const cz  = (cur - cx) / sizeX;
+
+      for (let k = 0; k < 8; k++) {
+        const nx = cx + NEIGH_X[k];
+        const nz = cz + NEIGH_Z[k];
+        if (nx < 0 || nz < 0 || nx >= sizeX || nz >= sizeZ) continue;
+
+        const ni = nz * sizeX + nx;
+        if (!grid[ni] || blockers[ni]) continue;
+
+        const nc = cost[cur] + NEIGH_COST[k];
+        if (nc >= cost[ni]) continue;
+
+        // finite but improvable → reached before and still queued
+        const queued = cost[ni] !== Infinity;
+        cost[ni] = nc;
+        next[ni] = cur;
+        if (queued) open.decrease(ni);
+        else        open.push(ni);
       }
     }
-    return [];    // no path
+
+    this.flowGoal      = goalI;
+    this._flowBuiltFor = this.version;
+    this.flowVersion++;
+  }
+
+  /** metres left to the flow goal from `posW`, Infinity if it can't get there */
+  flowDistance(posW) {
+    const i = this.cellIndex(posW);
+    if (i < 0 || !this.hasFlowField) return Infinity;
+    return this.flowCost[i] * this.cell;
+  }
+
+  /**
+   * Next `count` way-points downhill from `posW` (world-space cell centres),
+   * fewer when the goal cell is that close.
+   * @returns {THREE.Vector3[]} empty if `posW` is off the field or walled in
+   */
+  flowPath(posW, count) {
+    const path = [];
+    let i = this.cellIndex(posW);
+    if (i < 0 || !this.hasFlowField || this.flowCost[i] === Infinity) return path;
+
+    while (path.length < count && i !== this.flowGoal) {
+      i = this.flowNext[i];
+      path.push(this.indexToWorld(i));
+    }
+    return path;
+  }
+
+  /**
+   * Debug: a short line per reachable cell pointing to the cell it flows
+   * into, blue next to the goal fading to red far away. Replaces the previous
+   * drawing, so call it again after each rebuild.
+   */
+  drawFlowField(scene) {
+    this.hideFlowField(scene);
+    if (!this.hasFlowField) return;
+
+    const { sizeX, flowCost: cost, flowNext: next } = this;
+    let maxCost = 0;
+    for (const c of cost) if (c !== Infinity && c > maxCost) maxCost = c;
+
+    const pos = [];
+    const col = [];
+    const color = new THREE.Color();
+    const wx = (i) => ((i % sizeX) - this.offsetX + 0.5) * this.cell;
+    const wz = (i) => (Math.floor(i / sizeX) - this.offsetZ + 0.5) * this.cell;
+
+    for (let i = 0; i < next.length; i++) {
+      const to = next[i];
+      if (to < 0) continue;
+      const x = wx(i), z = wz(i);
+      pos.push(x, 0.05, z,  x + (wx(to) - x) * 0.6, 0.05, z + (wz(to) - z) * 0.6);
+      color.setHSL(0.66 * (1 - cost[i] / maxCost), 1, 0.5);
+      col.push(color.r, color.g, color.b,  color.r, color.g, color.b);
+    }
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
+    geo.setAttribute('color',    new THREE.Float32BufferAttribute(col, 3));
+    this._flowDebug = new THREE.LineSegments(geo, new THREE.LineBasicMaterial({ vertexColors: true }));
+    scene.add(this._flowDebug);
+  }
+
+  hideFlowField(scene) {
+    if (!this._flowDebug) return;
+    scene.remove(this._flowDebug);
+    this._flowDebug.geometry.dispose();
+    this._flowDebug.material.dispose();
+    this._flowDebug = null;
   }
 }
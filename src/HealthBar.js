@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+
+/**
+ * Billboard health bar (red back, green front) that eases toward the real
+ * value. Used by Enemy and Turret: add `group` to the owner's mesh, call
+ * `set()` on damage and `update()` once per frame.
+ */
+export class HealthBar {
+  /**
+   * @param {{width?:number, height?:number, y?:number}} [opts] – y is the local
+   *        height above the owner's origin
+   */
+  constructor({ width = 2, height = 0.3, y = 1.8 } = {}) {
+    this.width = width;
+    this.group = new THREE.Group();
+
+    const geometry = new THREE.PlaneGeometry(width, height);
+    const bgMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff0000,
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide
+    });
+    this.bg = new THREE.Mesh(geometry, bgMaterial);
+    const fgMaterial = new THREE.MeshBasicMaterial({
+      color: 0x00ff00,
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide
+    });
+    this.fg = new THREE.Mesh(geometry, fgMaterial);
+    this.fg.position.z = 0.01;
+    this.group.add(this.bg);
+    this.group.add(this.fg);
+    this.group.position.set(0, y, 0);
+
+    // For gradual health bar animation.
+    this.current = 1;
+    this.target  = 1;
+  }
+
+  /** @param {number} fraction 0‥1 */
+  set(fraction) {
+    this.target = THREE.MathUtils.clamp(fraction, 0, 1);
+  }
+
+  /** back to full at once, no easing (a recycled owner) */
+  reset() {
+    this.current = this.target = 1;
+    this.fg.scale.x = 1;
+    this.fg.position.x = 0;
+  }
+
+  update(delta, camera) {
+    const lerpSpeed = 5;
+    this.current = THREE.MathUtils.lerp(this.current, this.target, delta * lerpSpeed);
+    this.fg.scale.x = this.current;
+    this.fg.position.x = -(1 - this.current) * this.width / 2;
+    if (camera) {
+      this.group.lookAt(camera.position);
+    }
+  }
+
+  dispose() {
+    this.bg.geometry.dispose();       // shared by both planes
+    this.bg.material.dispose();
+    this.fg.material.dispose();
+  }
+}
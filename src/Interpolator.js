@@ -0,0 +1,60 @@
+import * as THREE from 'three';
+
+/**
+ * Render-side smoothing for the fixed-step simulation. Game records the pose
+ * of everything that moves before each sim step; at render time every
+ * recorded object is drawn part-way between that pose and its current one,
+ * then put back so the next step starts from the real simulation state.
+ *
+ *   begin(); add(obj) …   before a step
+ *   apply(alpha)          just before rendering, alpha = leftover / step
+ *   restore()             right after rendering
+ */
+export class Interpolator {
+  // a jump this long in one step is a teleport (spawn, recycled object): snap
+  static SNAP_DISTANCE = 20;
+
+  constructor() {
+    this.states  = new WeakMap();   // Object3D → { prevPos, prevQuat, pos, quat }
+    this.tracked = [];
+  }
+
+  begin() {
+    this.tracked.length = 0;
+  }
+
+  /** records obj's pose as the one it had before the coming step */
+  add(obj) {
+    let s = this.states.get(obj);
+    if (!s) {
+      s = { prevPos: new THREE.Vector3(), prevQuat: new THREE.Quaternion(),
+            pos: new THREE.Vector3(), quat: new THREE.Quaternion() };
+      this.states.set(obj, s);
+    }
+    s.prevPos.copy(obj.position);
+    s.prevQuat.copy(obj.quaternion);
+    this.tracked.push(obj);
+  }
+
+  /** moves every tracked object to prev + (current − prev) · alpha */
+  apply(alpha) {
+    const snapSq = Interpolator.SNAP_DISTANCE ** 2;
+    for (const obj of this.tracked) {
+      const s = this.states.get(obj);
+      s.pos.copy(obj.position);
+      s.quat.copy(obj.quaternion);
+      if (s.prevPos.distanceToSquared(s.pos) > snapSq) continue;
+      obj.position.lerpVectors(s.prevPos, s.pos, alpha);
+      obj.quaternion.slerpQuaternions(s.prevQuat, s.quat, alpha);
+    }
+  }
+
+  /** undoes apply(): back to the simulated poses */
+  restore() {
+    for (const obj of this.tracked) {
+      const s = this.states.get(obj);
+      obj.position.copy(s.pos);
+      obj.quaternion.copy(s.quat);
+    }
+  }
+}
@@ -67,7 +67,7 @@ export class Minimap {
    * Draw current frame.
    * @param {THREE.Object3D} player
    * @param {Enemy[]}       enemies  – objects with `.mesh.position`
-   * @param {HeartPickup[]} pickups  – objects with `.mesh.position`
+   * @param {Pickup[]}      pickups  – objects with `.mesh.position` (+ optional `.minimapColour`)
    */
   update(player, enemies = [], pickups = [], cameraAngle = 0) {
     if (!player?.mesh) return;
@@ -103,10 +103,10 @@ export class Minimap {
     };
 
     /* items */
-    pickups.forEach(p => drawDot(p.mesh.position.x, p.mesh.position.z, 4, '#ff5'));
+    pickups.forEach(p => drawDot(p.mesh.position.x, p.mesh.position.z, 4, p.minimapColour ?? '#ff5'));
 
     /* enemies */
-    enemies.forEach(e => drawDot(e.mesh.position.x, e.mesh.position.z, 6, '#f44'));
+    enemies.forEach(e => drawDot(e.mesh.position.x, e.mesh.position.z, 6, e.minimapColour ?? '#f44'));
 
     /* player */
     g.fillStyle = '#0f0';
@@ -0,0 +1,62 @@
+import { GLTFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.150.1/examples/jsm/loaders/GLTFLoader.js';
+import { clone as cloneSkinned } from 'https://cdn.jsdelivr.net/npm/three@0.150.1/examples/jsm/utils/SkeletonUtils.js';
+import { loadingMgr } from './LoadingMgr.js';
+
+/*
+ * Loads every GLTF once (through loadingMgr, so the loading screen still
+ * counts it) and hands out cheap instances of it. Enemies and turrets are
+ * spawned all game long; before this each one fetched and parsed its file.
+ */
+
+const loader = new GLTFLoader(loadingMgr);
+const cache  = new Map();   // url → Promise<gltf>
+const loaded = new Map();   // url → gltf, once that promise has resolved
+
+/** the parsed GLTF for `url`, loaded on first request and shared after that */
+export function loadModel(url) {
+  if (!cache.has(url)) {
+    const promise = loader.loadAsync(url);
+    promise.then(gltf => loaded.set(url, gltf), () => cache.delete(url));   // let a later call retry
+    cache.set(url, promise);
+  }
+  return cache.get(url);
+}
+
+/**
+ * A new instance of the model at `url`. SkeletonUtils.clone gives skinned
+ * meshes their own skeleton, so each instance animates on its own;
+ * geometry and materials stay shared with the cached original, so clone a
+ * material before changing it. `animations` are the shared clips: give
+ * every instance its own AnimationMixer.
+ * @returns {Promise<{scene: THREE.Object3D, animations: THREE.AnimationClip[]}>}
+ */
+export async function cloneModel(url) {
+  return instance(await loadModel(url));
+}
+
+/**
+ * Calls fn(instance) like cloneModel(url).then(fn), but right away when the
+ * model is already loaded: an enemy spawned during a simulation step is
+ * complete (mixer, muzzle …) before the next one, however many steps a
+ * frame runs – replays depend on that.
+ * @returns {Promise} settles once fn has run
+ */
+export function withModel(url, fn) {
+  const gltf = loaded.get(url);
+  if (!gltf) return cloneModel(url).then(fn);
+  try {
+    fn(instance(gltf));
+    return Promise.resolve();
+  } catch (e) {
+    return Promise.reject(e);
+  }
+}
+
+function instance(gltf) {
+  return { scene: cloneSkinned(gltf.scene), animations: gltf.animations };
+}
+
+/** starts loading now so the first spawn doesn't wait (optional) */
+export function preloadModels(urls) {
+  return Promise.all(urls.map(loadModel));
+}
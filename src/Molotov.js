@@ -1,80 +1,71 @@
 import * as THREE from 'three';
 import { getParticles } from './getParticles.js';
+import { Pool } from './Pool.js';
+import { SimMolotov } from './sim/SimMolotov.js';
 
-export class Molotov {
-    constructor (pos, scene, camera, game) {
-        this.radius        = 30;          // burn area
-        this.damagePerSec  = 150;          // DPS to each enemy inside
-        this.lifetime      = 8;          // seconds fire lasts
-        this.game          = game;       // Game instance to access enemies
-        this.scene  = scene;
-        this.camera = camera;
-        this.timer  = 0;                 // elapsed time
-        this.enemies = null;             // filled in by Game every frame
+/**
+ * A SimMolotov with its scorch decal and fire particles.
+ * Get molotovs from `Molotov.acquire()` and hand them back with `recycle()`
+ * once they burnt out: the decal and particle system are kept for the next one.
+ */
+export class Molotov extends SimMolotov {
+    static pool = new Pool({
+        create : (...args) => new Molotov().init(...args),
+        reset  : (m, ...args) => m.init(...args),
+        release: (m) => m.sleep(),
+        max    : 8
+    });
 
-        /* visual : scorch decal + particles ----------------------------- */
-        /* master container so we can delete everything in one call */
-        this.group = new THREE.Group();
-        this.group.position.copy(pos);
-        this.scene.add(this.group);
+    constructor () {
+        super();
 
-        const geo = new THREE.CircleGeometry(this.radius, 32);
+        /* visual : scorch decal + particles ----------------------------- */
+        // unit circle, scaled to the burn radius in init()
+        const geo = new THREE.CircleGeometry(1, 32);
         const mat = new THREE.MeshBasicMaterial({ color:0x662200, opacity:0.0,
                                                     transparent:true, depthWrite:false });
         this.decal = new THREE.Mesh(geo, mat);
         this.decal.rotation.x = -Math.PI/2;
-        // this.decal.position.copy(pos);
-        // this.scene.add(this.decal);
         this.group.add(this.decal);
 
-        /* fire sprites */
-        this.fire = getParticles({
-            camera,
-            emitter: this.decal,
-            parent : this.group,
-            rate   : 120,
-            texture: 'src/img/fire.png',
-            mode: 'fire'
-        });
+        this.fire = null;                // needs the game's camera, see init()
     }
 
-    /* called once per frame ------------------------------------------------ */
-    update (dt) {
-        this.timer += dt;
-        this.fire.update(dt);
-
-        const centre = this.group.position;
-        const rSq = this.radius * this.radius;
-            
-        /* burn all enemies currently inside radius */
-        if (this.enemies) {
-            for (let i = this.enemies.length - 1; i >= 0; i--) {
-                const e = this.enemies[i];
-                if (!e.mesh) continue;
+    /* (re)lights this molotov at pos and puts it in the game's scene ------- */
+    init (pos, game) {
+        super.init(pos, game);
+        this.scene  = game.scene;
+        this.camera = game.camera;
 
+        /* fire sprites */
+        if (!this.fire) {
+            this.fire = getParticles({
+                camera : this.camera,
+                emitter: this.decal,
+                parent : this.group,
+                rate   : 120,
+                texture: 'src/img/fire.png',
+                mode: 'fire'
+            });
+        }
 
-                const distSq = e.mesh.position.distanceToSquared(centre);
-                if (distSq < rSq) {
-                    /* ---------- quadratic fall-off -------------------------------- */
-                    const dist = Math.sqrt(distSq);            // metres from centre
-                    const t    = 1 - dist / this.radius;       // 1 → centre, 0 → edge
-                    const dmg  = this.damagePerSec * t * t * dt;
-                    /* -------------------------------------------------------------- */
+        this.decal.scale.setScalar(this.radius);
+        this.scene.add(this.group);
+        return this;
+    }
 
-                    const dead = e.takeDamage(dmg);
-                    if (dead && this.game) {
-                    this.game.enemySpawner.removeEnemy(e);
-                    }
-                }
-            }
+    /* off the scene, flames cleared – waiting in the pool */
+    sleep () {
+        super.sleep();
+        this.scene.remove(this.group);
+        this.fire.reset();
+    }
 
-            /* expire */
-            if (this.timer >= this.lifetime) {
-                this.scene.remove(this.group);
-                this.fire = null;        // GC – Game will filter nulls
-                return true;             // “I’m done, remove me”
-            }
-            return false;
-        }
+    /* called once per frame ------------------------------------------------ */
+    update (dt) {
+        this.fire.update(dt);
+        const done = super.update(dt);
+        if (done) this.scene.remove(this.group);
+        return done;
     }
 }
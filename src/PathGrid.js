@@ -0,0 +1,307 @@
+// Walkability grid + A* core, free of THREE so PathWorker can load it too.
+// GridPathFinder extends it with the world-space / THREE side.
+
+export class PathGrid {
+  /**
+   * @param {number} sizeX   number of cells in X
+   * @param {number} sizeZ   number of cells in Z
+   * @param {number} cell    world-space metres per cell (e.g. 1)
+   */
+  constructor(sizeX, sizeZ, cell = 1) {
+    this.sizeX = sizeX; // columns
+    this.sizeZ = sizeZ; // rows
+    this.cell  = cell;
+
+    // Origin offset so world-space (0,0) maps to grid-center
+    this.offsetX = Math.floor(sizeX / 2);
+    this.offsetZ = Math.floor(sizeZ / 2);
+
+    this.grid  = new Uint8Array( sizeX * sizeZ ).fill(1); // true  = walkable, false = blocked
+
+    // dynamic obstacles (turrets …) are reference-counted per cell, so two
+    // overlapping ones can come and go in any order without freeing a cell early
+    this.blockers = new Uint16Array( sizeX * sizeZ );
+    this.version  = 0;              // bumped whenever walkability changes
+  }
+
+  set(x, z, walkable) {
+    if ( x < 0 || z < 0 || x >= this.sizeX || z >= this.sizeZ ) return;
+    this.grid[ z * this.sizeX + x ] = walkable;
+  }
+  get(x, z) {
+    if ( x < 0 || z < 0 || x >= this.sizeX || z >= this.sizeZ ) return 0;
+    const i = z * this.sizeX + x;
+    return this.blockers[i] ? 0 : this.grid[i];
+  }
+
+  /**
+   * Closest walkable cell to (x, z), searched ring by ring.
+   * @returns {number} cell index, -1 if nothing is free within maxRadius
+   */
+  nearestWalkableIndex(x, z, maxRadius = 8) {
+    if (this.get(x, z)) return z * this.sizeX + x;
+
+    for (let r = 1; r <= maxRadius; r++) {
+      let best = -1, bestD = Infinity;
+      for (let dz = -r; dz <= r; dz++) {
+        for (let dx = -r; dx <= r; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== r) continue;   // ring only
+          if (!this.get(x + dx, z + dz)) continue;
+          const d = dx * dx + dz * dz;
+          if (d < bestD) { bestD = d; best = (z + dz) * this.sizeX + x + dx; }
+        }
+      }
+      if (best >= 0) return best;
+    }
+    return -1;
+  }
+
+  /**
+   * True if the straight segment between two world-space points (x/z only)
+   * only crosses walkable cells. Walks the cells with Amanatides–Woo; passing
+   * exactly through a corner needs both side cells free.
+   */
+  lineOfSight(ax, az, bx, bz) {
+    const x0 = ax / this.cell + this.offsetX, z0 = az / this.cell + this.offsetZ;
+    const x1 = bx / this.cell + this.offsetX, z1 = bz / this.cell + this.offsetZ;
+    let cx = Math.floor(x0), cz = Math.floor(z0);
+    const ex = Math.floor(x1), ez = Math.floor(z1);
+    if (!this.get(cx, cz)) return false;
+
+    const dx = x1 - x0, dz = z1 - z0;
+    const stepX = Math.sign(dx), stepZ = Math.sign(dz);
+    const tDeltaX = stepX ? Math.abs(1 / dx) : Infinity;
+    const tDeltaZ = stepZ ? Math.abs(1 / dz) : Infinity;
+    let tMaxX = stepX > 0 ? (cx + 1 - x0) * tDeltaX : stepX < 0 ? (x0 - cx) * tDeltaX : Infinity;
+    let tMaxZ = stepZ > 0 ? (cz + 1 - z0) * tDeltaZ : stepZ < 0 ? (z0 - cz) * tDeltaZ : Infinity;
+
+    let n = Math.abs(ex - cx) + Math.abs(ez - cz);
+    while (n > 0) {
+      if (Math.abs(tMaxX - tMaxZ) < 1e-9) {
+        if (!this.get(cx + stepX, cz) || !this.get(cx, cz + stepZ)) return false;
+        cx += stepX; tMaxX += tDeltaX;
+        cz += stepZ; tMaxZ += tDeltaZ;
+        n -= 2;
+      } else if (tMaxX < tMaxZ) {
+        cx += stepX; tMaxX += tDeltaX;
+        n--;
+      } else {
+        cz += stepZ; tMaxZ += tDeltaZ;
+        n--;
+      }
+      if (!this.get(cx, cz)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * lineOfSight for something `clearance` metres wide: the centre line and
+   * the two lines offset sideways by ±clearance must all be free.
+   */
+  clearPath(a, b, clearance = 0) {
+    if (!this.lineOfSight(a.x, a.z, b.x, b.z)) return false;
+    if (clearance <= 0) return true;
+
+    const len = Math.hypot(b.x - a.x, b.z - a.z);
+    if (len < 1e-6) return true;
+    const ox = -(b.z - a.z) / len * clearance;
+    const oz =  (b.x - a.x) / len * clearance;
+    return this.lineOfSight(a.x + ox, a.z + oz, b.x + ox, b.z + oz)
+        && this.lineOfSight(a.x - ox, a.z - oz, b.x - ox, b.z - oz);
+  }
+
+  /**
+   * String-pulling: drops every way-point the walker can skip by going
+   * straight to a later one. Points only need x / z; the same objects are
+   * returned, first and last always kept.
+   */
+  stringPull(points, clearance = 0) {
+    if (points.length < 3) return points.slice();
+
+    const out = [points[0]];
+    let anchor = 0;
+    for (let i = 2; i < points.length; i++) {
+      if (!this.clearPath(points[anchor], points[i], clearance)) {
+        anchor = i - 1;
+        out.push(points[anchor]);
+      }
+    }
+    out.push(points[points.length - 1]);
+    return out;
+  }
+
+  /**
+   * Cell route from (sx, sz) to (gx, gz). A blocked goal (e.g. a turret
+   * standing on it) is swapped for the nearest free cell, and `exact` tells
+   * whether the caller may end the path on its precise goal position.
+   * @returns {{cells:number[], exact:boolean}|null} null if there is no path
+   */
+  route(sx, sz, gx, gz) {
+    if (sx < 0 || sz < 0 || sx >= this.sizeX || sz >= this.sizeZ) return null;
+
+    let goalI = gz * this.sizeX + gx;
+    let exact = true;
+    if (!this.get(gx, gz)) {
+      goalI = this.nearestWalkableIndex(gx, gz);
+      if (goalI < 0) return null;
+      exact = false;
+    }
+
+    const cells = this.search(sz * this.sizeX + sx, goalI);
+    return cells && { cells, exact };
+  }
+
+  /**
+   * A* on integer cell indices (i = z * sizeX + x), 8 neighbours, octile
+   * heuristic. The g/f/came buffers and the heap are allocated once per grid
+   * and reused: instead of clearing them, every search bumps a stamp and a
+   * cell's entries only count when its `seen` stamp matches.
+   * @returns {number[]|null} cell indices from start to goal, null if unreachable
+   */
+  search(startI, goalI) {
+    const { sizeX, sizeZ, grid, blockers } = this;
+
+    if (!this._heap) {
+      const n = sizeX * sizeZ;
+      this._g      = new Float32Array(n);   // g(n): cost so far from start
+      this._f      = new Float32Array(n);   // f(n) = g(n) + h(n): heap key
+      this._came   = new Int32Array(n);     // backtracking path
+      this._seen   = new Uint32Array(n);    // stamp: g/f/came are valid
+      this._closed = new Uint32Array(n);    // stamp: already expanded
+      this._heap   = new CellHeap(n, this._f);
+      this._stamp  = 0;
+    }
+    if (++this._stamp === 0xffffffff) {     // wrapped: start over
+      this._seen.fill(0);
+      this._closed.fill(0);
+      this._stamp = 1;
+    }
+
+    const { _g: g, _f: f, _came: came, _seen: seen, _closed: closed, _heap: open, _stamp: stamp } = this;
+    const goalX = goalI % sizeX;
+    const goalZ = (goalI - goalX) / sizeX;
+
+    // octile distance to the goal
+    const h = (x, z) => {
+      const dx = Math.abs(x - goalX);
+      const dz = Math.abs(z - goalZ);
+      return (Math.SQRT2 - 1) * Math.min(dx, dz) + Math.max(dx, dz);
+    };
+
+    open.clear();
+    g[startI]    = 0;
+    f[startI]    = h(startI % sizeX, Math.floor(startI / sizeX));
+    came[startI] = -1;
+    seen[startI] = stamp;
+    open.push(startI);
+
+    while (open.size) {
+      const cur = open.pop();
+
+      if (cur === goalI) {
+        const cells = [];
+        for (let c = cur; c !== -1; c = came[c]) cells.push(c);
+        return cells.reverse();
+      }
+      closed[cur] = stamp;
+
+      const cx = cur % sizeX;
+      const cz = (cur - cx) / sizeX;
+      for (let k = 0; k < 8; k++) {
+        const nx = cx + NEIGH_X[k];
+        const nz = cz + NEIGH_Z[k];
+        if (nx < 0 || nz < 0 || nx >= sizeX || nz >= sizeZ) continue;
+
+        const ni = nz * sizeX + nx;
+        if (!grid[ni] || blockers[ni] || closed[ni] === stamp) continue;   // wall / done
+
+        const ng     = g[cur] + NEIGH_COST[k];
+        const queued = seen[ni] === stamp;
+        if (queued && ng >= g[ni]) continue;
+
+        g[ni]    = ng;
+        f[ni]    = ng + h(nx, nz);
+        came[ni] = cur;
+        if (queued) {
+          open.decrease(ni);
+        } else {
+          seen[ni] = stamp;
+          open.push(ni);
+        }
+      }
+    }
+    return null;
+  }
+}
+
+// straight moves cost 1, diagonals √2
+export const NEIGH_X    = [ 1, -1, 0,  0, 1, -1,  1, -1];
+export const NEIGH_Z    = [ 0,  0, 1, -1, 1,  1, -1, -1];
+export const NEIGH_COST = [ 1,  1, 1,  1, Math.SQRT2, Math.SQRT2, Math.SQRT2, Math.SQRT2];
+
+/**
+ * Binary min-heap of cell indices ordered by keys[cell]. `pos` maps each
+ * queued cell to its slot, so a lowered key can be sifted up in place.
+ */
+export class CellHeap {
+  constructor(capacity, keys) {
+    this.items = new Int32Array(capacity);
+    this.pos   = new Int32Array(capacity);
+    this.keys  = keys;
+    this.size  = 0;
+  }
+
+  clear() { this.size = 0; }
+
+  push(cell) {
+    this.items[this.size] = cell;
+    this.siftUp(this.size++);
+  }
+
+  pop() {
+    const top  = this.items[0];
+    const last = this.items[--this.size];
+    if (this.size) {
+      this.items[0] = last;
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  /** call after lowering keys[cell] of a cell that is still queued */
+  decrease(cell) { this.siftUp(this.pos[cell]); }
+
+  siftUp(i) {
+    const { items, pos, keys } = this;
+    const cell = items[i];
+    const key  = keys[cell];
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      const pc = items[parent];
+      if (keys[pc] <= key) break;
+      items[i] = pc;
+      pos[pc]  = i;
+      i = parent;
+    }
+    items[i]  = cell;
+    pos[cell] = i;
+  }
+
+  siftDown(i) {
+    const { items, pos, keys, size } = this;
+    const cell = items[i];
+    const key  = keys[cell];
+    for (;;) {
+      let c = 2 * i + 1;
+      if (c >= size) break;
+      if (c + 1 < size && keys[items[c + 1]] < keys[items[c]]) c++;
+      const cc = items[c];
+      if (keys[cc] >= key) break;
+      items[i] = cc;
+      pos[cc]  = i;
+      i = c;
+    }
+    items[i]  = cell;
+    pos[cell] = i;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Asynchronous A* for enemies. Requests made during a frame are collected,
+ * deduplicated by start / goal cell and sent to PathWorker in one batch by
+ * flush(); the answers come back a frame or so later. The worker keeps its
+ * own grid copy, re-sent whenever GridPathFinder.version changes (obstacles).
+ *
+ * Without Worker support (or if the worker fails to load) every request is
+ * answered synchronously on the main thread instead.
+ *
+ * Requests are numbered in the order they are made. When an answer from the
+ * worker is handed out, onDeliver(seq) is told first: Replay records which
+ * request got its path when, and playback() hands them out at the same points.
+ */
+export class PathService {
+  /** @param {import('./GridPathFinder.js').GridPathFinder} pathfinder */
+  constructor(pathfinder) {
+    this.pathfinder = pathfinder;
+    this.queued   = new Map();   // "sx,sz>gx,gz" → [{ startW, goalW, done }]
+    this.inFlight = new Map();   // batch id → same callbacks
+    this.nextId   = 1;
+    this.sentVersion = -1;       // grid version the worker holds
+    this.seq      = 0;           // number of the latest request
+    this.onDeliver    = null;    // (seq) => {} before a worker answer is handed out
+    this.onMainThread = null;    // () => {} once the worker is dropped
+    this.held     = null;        // playback: seq → { path, done } until delivered
+
+    try {
+      this.worker = new Worker(new URL('./PathWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = ({ data }) => this.onResults(data.results);
+      this.worker.onerror   = (e) => {
+        console.warn('PathWorker failed, path-finding falls back to the main thread', e);
+        this.useMainThread();
+      };
+    } catch (e) {
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Queues an A* search; `done(path)` receives world-space Vector3s ([] when
+   * there is no path), never in the same call unless there is no worker.
+   */
+  request(startW, goalW, done) {
+    const pf  = this.pathfinder;
+    const seq = ++this.seq;
+    if (!this.worker && !this.held) {
+      done(pf.findPath(startW, goalW));
+      return;
+    }
+
+    const s = pf.worldToCell(startW);
+    const g = pf.worldToCell(goalW);
+    const key = `${s.x},${s.y}>${g.x},${g.y}`;
+    const waiting = { seq, startW: startW.clone(), goalW: goalW.clone(), done };
+
+    if (this.queued.has(key)) this.queued.get(key).push(waiting);
+    else                      this.queued.set(key, [waiting]);
+  }
+
+  /** sends this frame's requests to the worker; call once per frame */
+  flush() {
+    if (this.held) return this.flushPlayback();
+    if (!this.worker || this.queued.size === 0) return;
+
+    const pf = this.pathfinder;
+    if (this.sentVersion !== pf.version) {
+      this.worker.postMessage({
+        type: 'grid', sizeX: pf.sizeX, sizeZ: pf.sizeZ, cell: pf.cell,
+        grid: pf.grid, blockers: pf.blockers,
+      });
+      this.sentVersion = pf.version;
+    }
+
+    const requests = [];
+    for (const [key, waiting] of this.queued) {
+      const [sx, sz, gx, gz] = key.split(/[,>]/).map(Number);
+      const id = this.nextId++;
+      this.inFlight.set(id, waiting);
+      requests.push({ id, sx, sz, gx, gz });
+    }
+    this.queued.clear();
+    this.worker.postMessage({ type: 'paths', requests });
+  }
+
+  onResults(results) {
+    for (const { id, cells, exact } of results) {
+      const waiting = this.inFlight.get(id);
+      if (!waiting) continue;
+      this.inFlight.delete(id);
+      for (const { seq, goalW, done } of waiting) {
+        this.onDeliver?.(seq);
+        done(cells ? this.pathfinder.routeToWorld({ cells, exact }, goalW) : []);
+      }
+    }
+  }
+
+  /** drops the worker and answers everything still pending right here */
+  useMainThread() {
+    this.worker?.terminate();
+    this.worker = null;
+
+    const pending = [...this.inFlight.values(), ...this.queued.values()];
+    this.inFlight.clear();
+    this.queued.clear();
+    for (const waiting of pending) {
+      for (const { seq, startW, goalW, done } of waiting) {
+        this.onDeliver?.(seq);
+        done(this.pathfinder.findPath(startW, goalW));
+      }
+    }
+    this.onMainThread?.();
+  }
+
+  /* ───── replay playback ───────────────────────────────────────── */
+
+  /**
+   * Playback of a recorded run: no worker, every search runs here when the
+   * recording flushed it, and its answer waits for deliver(seq) at the point
+   * the worker's answer arrived back then. `async` false: the recording had
+   * no worker, requests are answered on the spot.
+   */
+  playback(async) {
+    this.worker?.terminate();
+    this.worker = null;
+    this.queued.clear();
+    this.inFlight.clear();
+    this.held = async ? new Map() : null;
+  }
+
+  flushPlayback() {
+    for (const waiting of this.queued.values()) {
+      for (const { seq, startW, goalW, done } of waiting) {
+        this.held.set(seq, { path: this.pathfinder.findPath(startW, goalW), done });
+      }
+    }
+    this.queued.clear();
+  }
+
+  /** playback: hands out the answer to request `seq` */
+  deliver(seq) {
+    if (!this.held) return;
+    // not flushed yet: the worker fell over first and it was answered on the spot
+    if (!this.held.has(seq)) this.flushPlayback();
+    const answer = this.held.get(seq);
+    if (!answer) return;
+    this.held.delete(seq);
+    answer.done(answer.path);
+  }
+}
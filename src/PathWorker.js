@@ -0,0 +1,31 @@
+// Module worker behind PathService: runs the A* searches off the main thread
+// on its own copy of the grid. Plain PathGrid only – workers don't see the
+// page's importmap, so nothing here may import 'three'.
+//
+//   in  { type:'grid',  sizeX, sizeZ, cell, grid, blockers }  – (re)sync the copy
+//   in  { type:'paths', requests:[{ id, sx, sz, gx, gz }] }   – one frame's batch
+//   out { type:'paths', results:[{ id, cells:Int32Array|null, exact }] }
+import { PathGrid } from './PathGrid.js';
+
+let grid = null;
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'grid': {
+      if (!grid || grid.sizeX !== data.sizeX || grid.sizeZ !== data.sizeZ) {
+        grid = new PathGrid(data.sizeX, data.sizeZ, data.cell);
+      }
+      grid.grid.set(data.grid);
+      grid.blockers.set(data.blockers);
+      break;
+    }
+    case 'paths': {
+      const results = data.requests.map(({ id, sx, sz, gx, gz }) => {
+        const route = grid?.route(sx, sz, gx, gz);
+        return { id, cells: route ? Int32Array.from(route.cells) : null, exact: !!route?.exact };
+      });
+      self.postMessage({ type: 'paths', results }, results.filter(r => r.cells).map(r => r.cells.buffer));
+      break;
+    }
+  }
+};
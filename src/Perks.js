@@ -0,0 +1,30 @@
+/**
+ * Level-up perks, defined as plain data.
+ * Every `mods` entry is a multiplier applied through Player.applyPerk, so perks
+ * stack with each other (and with temporary buffs such as the Potion) for the
+ * rest of the run.
+ */
+export const PERKS = [
+  { id: 'knife-speed',    icon: '🔪', name: 'Quick Hands',    desc: '+25% knife attack speed', mods: { knifeSpeed: 1.25 } },
+  { id: 'knife-damage',   icon: '🗡️', name: 'Sharpened Edge', desc: '+25% knife damage',       mods: { knifeDamage: 1.25 } },
+  { id: 'move-speed',     icon: '👟', name: 'Fleet Foot',     desc: '+10% move speed',         mods: { moveSpeed: 1.1 } },
+  { id: 'max-mana',       icon: '🔷', name: 'Deep Well',      desc: '+25% max mana',           mods: { maxMana: 1.25 } },
+  { id: 'mana-regen',     icon: '💧', name: 'Meditation',     desc: '+30% mana regen',         mods: { manaRegen: 1.3 } },
+  { id: 'turret-rate',    icon: '🛡️', name: 'Overclock',      desc: '+20% turret fire rate',   mods: { turretFireRate: 1.2 } },
+  { id: 'molotov-radius', icon: '🔥', name: 'Wildfire',       desc: '+20% molotov radius',     mods: { molotovRadius: 1.2 } },
+];
+
+/**
+ * Picks `count` distinct perks at random (partial Fisher–Yates).
+ * @param {number}   count
+ * @param {Function} random – () => [0,1), defaults to Math.random
+ */
+export function rollPerks(count = 3, random = Math.random) {
+  const pool = PERKS.slice();
+  const n = Math.min(count, pool.length);
+  for (let i = 0; i < n; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, n);
+}
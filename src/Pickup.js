@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+import { WEAPONS } from './Weapons.js';
+
+/* shared geometry – every pickup of a shape reuses the same buffers */
+const GEOMETRY = {
+  sphere: new THREE.SphereGeometry(0.8, 16, 16),
+  orb:    new THREE.SphereGeometry(0.55, 12, 12),
+  box:    new THREE.BoxGeometry(1.1, 1.1, 1.1),
+  gem:    new THREE.OctahedronGeometry(0.5),
+};
+
+/**
+ * Every kind of world drop. `apply` runs once when the player walks over it
+ * and returns nothing; it talks to the game (Simulation) the same way the HUD
+ * buttons do.
+ * `minimap` is the dot colour drawn by Minimap.update.
+ */
+export const PICKUP_KINDS = {
+  heart: {
+    shape: 'sphere', colour: 0xff4f4f, minimap: '#f5a', amount: 20,
+    apply(game, p) {
+      game.player.heal(p.amount);
+      game.notify(`+${p.amount} HP 💖`, game.player.mesh.position.clone());
+    }
+  },
+  mana: {
+    shape: 'orb', colour: 0x00bfff, minimap: '#0bf', amount: 25,
+    apply(game, p) {
+      const player = game.player;
+      player.mana = Math.min(player.maxMana, player.mana + p.amount);
+      game.notify(`+${p.amount} MP 🔷`, player.mesh.position.clone());
+    }
+  },
+  turret: {
+    shape: 'box', colour: 0x00ff00, minimap: '#0f0', amount: 1,
+    apply(game, p) { game.addTurretToken(p.amount); }
+  },
+  molotov: {
+    shape: 'box', colour: 0xff6600, minimap: '#f60', amount: 1,
+    apply(game, p) { game.addMolotovToken(p.amount); }
+  },
+  potion: {
+    shape: 'box', colour: 0xffd700, minimap: '#fd0', amount: 1,
+    apply(game, p) { game.addPotionToken(p.amount); }
+  },
+  ammo: {
+    shape: 'box', colour: 0xc0c0c0, minimap: '#ccc', amount: 1,   // magazines per gun
+    apply(game, p) {
+      for (const [id, a] of Object.entries(game.weapons.ammo)) {
+        if (a.reserve !== Infinity) game.weapons.addAmmo(id, WEAPONS[id].magazine * p.amount);
+      }
+      game.notify('+Ammo 🧰', game.player.mesh.position.clone());
+    }
+  },
+  // timed power-ups, see PowerUps.js – the key doubles as the POWER_UPS id
+  bulletHell: {
+    shape: 'gem', colour: 0xff3300, minimap: '#f30', amount: 1,
+    apply(game) { game.activateBulletHell(); }
+  },
+  knifeSpeed: {
+    shape: 'gem', colour: 0xffff33, minimap: '#ff3', amount: 1,
+    apply(game) { game.activateKnifeSpeedPowerupThree(); }
+  },
+  attackVelocity: {
+    shape: 'gem', colour: 0x33ffff, minimap: '#3ff', amount: 1,
+    apply(game) { game.activateAttackVelocityBuff(); }
+  },
+  xp: {
+    shape: 'gem', colour: 0xb266ff, minimap: '#b6f', amount: 5,
+    apply(game, p) { game.grantXP(p.amount); }
+  },
+};
+
+export class Pickup {
+  /**
+   * @param {THREE.Vector3} position – where it drops (usually the dead enemy)
+   * @param {Player}        player
+   * @param {string}        kind     – key of PICKUP_KINDS
+   * @param {number}        [amount] – overrides the kind's default amount
+   */
+  constructor(position, player, kind = 'heart', amount) {
+    const def = PICKUP_KINDS[kind];
+
+    this.kind = kind;
+    this.def  = def;
+    this.amount = amount ?? def.amount;
+    this.minimapColour = def.minimap;
+
+    this.player = player;
+    this.camera = player.gameCamera;
+    this.radius = 1; // pickup radius
+    this.magnetRange = 40;     // Distance to start flying toward the player
+    this.bobTime = 0;
+
+    // Use a material that supports emission and lighting
+    const material = new THREE.MeshStandardMaterial({
+      color: def.colour,
+      emissive: new THREE.Color(def.colour),
+      emissiveIntensity: 1.0,
+      roughness: 0.3,
+      metalness: 0.2
+    });
+
+    this.material = material; // Save reference for pulsing update
+
+    // Create mesh and position it
+    this.mesh = new THREE.Mesh(GEOMETRY[def.shape], material);
+    this.mesh.position.copy(position);
+    this.mesh.position.y += 1.5; // Hover slightly
+  }
+
+  /** stop the particle system and free GPU memory; `scene` is absent headless */
+  destroy(scene) {
+    // remove every sprite that was spawned
+    if (this.aura && this.aura.parent) {
+      this.aura.parent.remove(...this.aura.parent.children);
+    }
+    // if your helper exposes a dispose() call, uncomment:
+    // if (this.aura?.dispose) this.aura.dispose();
+
+    // finally yank the anchor / pickup from the scene; geometry is shared
+    scene?.remove(this.mesh);
+    this.material.dispose();
+  }
+
+  /** applies the effect – call once, right after update() returned true */
+  collect(game) {
+    this.def.apply(game, this);
+  }
+
+  /** returns true once the player touched it */
+  update(delta) {
+    this.bobTime += delta;
+
+    // Hovering effect
+    this.mesh.position.y += Math.sin(this.bobTime * 3) * delta * 0.5;
+    this.mesh.rotation.y += delta;    // a slow spin reads well on boxes & gems
+
+    // Glowing pulsing effect
+    this.material.emissiveIntensity = Math.sin(this.bobTime * 4) * 0.3 + 0.7;
+
+    if (this.aura) this.aura.update(delta);
+
+    // Pickup collision
+    const dist = this.mesh.position.distanceTo(this.player.mesh.position);
+    if (dist < this.radius) {
+      return true; // Picked up
+    }
+
+    // If within magnet range, move toward player
+    if (dist < this.magnetRange) {
+      const direction = this.player.mesh.position.clone().sub(this.mesh.position).normalize();
+      const speed = 40; // Adjust this for how fast the pickup flies in
+      this.mesh.position.add(direction.multiplyScalar(speed * delta));
+    }
+
+    return false;
+  }
+}
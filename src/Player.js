@@ -3,56 +3,49 @@ import { GLTFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.150.1/examples/
 import { AnimationUtils } from 'three';
 import { getParticles } from './getParticles.js';
 import { loadingMgr } from './LoadingMgr.js';
+import { SimPlayer } from './sim/SimPlayer.js';
 
-export class Player {
+/**
+ * The player on screen: SimPlayer's rules plus the soldier model, its
+ * idle / run / knife animations, the buff aura and the damage flash.
+ */
+export class Player extends SimPlayer {
   constructor(scene, gameCamera) {
+    super();
     this.scene = scene;
     this.gameCamera = gameCamera; // Store the camera reference for particle effects.
-    this.health = 100;
-    this.alive = true;
-    this.speed = 10; // Movement speed.
-    this.velocity = new THREE.Vector3(0, 0, 0);
-    this.mesh = null; // Loaded model.
+    this.model = null;  // the soldier, once loaded (Game waits for it)
     this.mixer = null;
     this.actions = {}; // Animation actions.
     this.activeAction = null;
-    // Flag to ensure a single press triggers the full knife attack.
-    this.isAttacking = false;
-    // Callback to be set by Game for handling knife damage.
-    this.onKnifeHit = null;
     this.maxStamina = 100;
-    this.maxMana = 100;
-    this.mana = this.maxMana;
     // this.stamina = this.maxStamina;
     // this.staminaRegenRate = 15;     // Stamina per second when not running
     // this.staminaDrainRate = 25;     // Stamina per second while running
     // this.canRun = true;             // Flag to prevent running when stamina is depleted
-    this.level       = 1;         // starts at Lv-1
-    this.xp          = 0;         // current XP
-    this.xpToNext    = 50;        // XP needed for Lv-up (first tier)
-    this._mod = { knifeSpeed: 1, moveSpeed: 1 };
+    this.scene.add(this.mesh);
 
     const loader = new GLTFLoader(loadingMgr);
     loader.load(
       'assets/player/low_poly_soldier/scene.gltf',
       (gltf) => {
-        this.mesh = gltf.scene;
+        // the model goes into the simulation's transform (SimPlayer.mesh)
+        const model = gltf.scene;
         // this is needed to make the model cast shadows
-        this.mesh.traverse(o => {
+        model.traverse(o => {
           if (o.isMesh) {
             o.castShadow    = true;   // they can cast
             o.receiveShadow = true;   // …and receive, if you want contact-darkening
           }
         });         
-        this.mesh.position.set(0, 1.5, 0);
-        this.mesh.scale.set(0.07, 0.07, 0.07);
-        this.mesh.castShadow = true; // TODO: check why this is not working: it should allow player to receive shadows
+        model.scale.set(0.07, 0.07, 0.07);
+        model.castShadow = true; // TODO: check why this is not working: it should allow player to receive shadows
 
-        this.scene.add(this.mesh);
+        this.mesh.add(model);
 
         this.auraAnchor = new THREE.Object3D();
         this.auraAnchor.position.set(0, 1.2, 0);
-        this.mesh.add(this.auraAnchor);
+        model.add(this.auraAnchor);
 
         this.auraEffect = getParticles({
           camera : this.gameCamera,
@@ -75,7 +68,7 @@ export class Player {
         this.auraEnabled = false;
 
         if (gltf.animations && gltf.animations.length > 0) {
-          this.mixer = new THREE.AnimationMixer(this.mesh);
+          this.mixer = new THREE.AnimationMixer(model);
 
           // Look up clips by name.
           const idleClip  = gltf.animations.find(clip => clip.name === 'rig|idle -loop');
@@ -95,22 +88,10 @@ export class Player {
             this.actions.knife = this.mixer.clipAction(trimmedKnifeClip);
             this.actions.knife.setLoop(THREE.LoopOnce, 1);
             this.actions.knife.clampWhenFinished = true;
+            // the swing lasts exactly as long as the animation (see SimPlayer)
+            this.knifeTime = trimmedKnifeClip.duration;
           }
           
-          // Listen for the finished event to reset the knife flag.
-          this.mixer.addEventListener('finished', (event) => {
-            if (event.action === this.actions.knife) {
-              this.isAttacking = false;
-              this.knifeDamageApplied = false; // Reset knife damage flag.
-              // Reset the knife attack speed back to normal.
-              this.actions.knife.timeScale = 1;
-              // Optionally return to idle.
-              if (this.actions.idle) {
-                this.fadeToAction('idle');
-              }
-            }
-          });          
-          
           // Start with idle by default.
           if (this.actions.idle) {
             this.activeAction = this.actions.idle;
@@ -119,6 +100,7 @@ export class Player {
         } else {
           console.error('No animations found in the model.');
         }
+        this.model = model;
       },
       undefined,
       (error) => {
@@ -128,146 +110,13 @@ export class Player {
   }
 
 
-  // public helpers for buffs & debuffs
-  addTempModifier(kind, mult = 1) {
-    if (this._mod[kind] === undefined) this._mod[kind] = 1;
-    this._mod[kind] *= mult;
-  }
-  removeTempModifier(kind, mult = 1) {
-    if (this._mod[kind] === undefined) return;
-    this._mod[kind] /= mult;
-  }
-  get knifeMult() { return this._mod.knifeSpeed ?? 1; }
-  get moveMult()  { return this._mod.moveSpeed  ?? 1; }
-
-  /* how many % of the ring should be filled right now? */
-  get xpPct() { return (this.xp / this.xpToNext) * 100; }
-
-  /** add experience, returns true if a level-up happened */
-  addXP(amount = 1) {
-    this.xp += amount;
-
-    let levelled = false;
-    while (this.xp >= this.xpToNext) {
-      this.xp     -= this.xpToNext;
-      this.level  += 1;
-      this.xpToNext = Math.floor(this.xpToNext * 1.25); // harder each tier
-      levelled = true;
-    }
-    return levelled;
-  }
-
-
-
-  spendMana(amount) {
-    if (this.mana >= amount) {
-      this.mana -= amount;
-      return true;
-    }
-
-    // not enough – tell the user once per click
-    if (this.game && this.game.ui) {
-      this.game.ui.showFloatingMessage(
-        "Not enough mana!",
-        this.mesh ? this.mesh.position.clone() : new THREE.Vector3()
-      );
-    }
-
-    return false;
-  }
-
-  regenMana(delta, rate = 10) {
-    this.mana += rate * delta;
-    if (this.mana > this.maxMana) this.mana = this.maxMana;
-  }
-
   update(delta, input, cameraAngle) {
 
     if (!this.alive) return;
     if (this.mixer) this.mixer.update(delta);
-    if (!this.mesh) return;
-  
-    // Handle knife attack
-    if (input['MouseLeft'] && this.actions.knife && !this.isAttacking) {
-      this.fadeToAction('knife');
-      this.actions.knife.timeScale = this.knifeMult; // uses the getter
-      this.isAttacking = true;
-      input['MouseLeft'] = false;
-      return;
-    }
-  
-    // Gather input
-    let forwardInput = 0;
-    let rightInput = 0;
-    if (input['KeyW']) forwardInput += 1;
-    if (input['KeyS']) forwardInput -= 1;
-    if (input['KeyD']) rightInput += 1;
-    if (input['KeyA']) rightInput -= 1;
-  
-    const cameraForward = new THREE.Vector3(-Math.cos(cameraAngle), 0, -Math.sin(cameraAngle));
-    const cameraRight = new THREE.Vector3(Math.sin(cameraAngle), 0, -Math.cos(cameraAngle));
-    const moveDir = new THREE.Vector3();
-    moveDir.addScaledVector(cameraForward, forwardInput);
-    moveDir.addScaledVector(cameraRight, rightInput);
-  
-
-    let currentSpeed = this.speed * 1.8 * this.moveMult; // uses the getter
-
-    if (moveDir.length() > 0) {
-        moveDir.normalize();
-
-        if (!this.isAttacking) {
-          if (this.actions.run) {
-            this.fadeToAction('run');
-            this.actions.run.timeScale = 1;
-          }
-        }
-
-      this.velocity.copy(moveDir).multiplyScalar(currentSpeed);
-      const movement = moveDir.clone().multiplyScalar(currentSpeed * delta);
-      this.mesh.position.add(movement);
-
-      const nextPos = this.mesh.position.clone()
-
-      const targetPosition = this.mesh.position.clone().add(moveDir);
-      targetPosition.y = this.mesh.position.y;
-      this.mesh.lookAt(targetPosition);
 
-      // simple sphere-vs-box test (treat player as 0.75-unit radius capsule head)
-      const playerRadius = 0.75;
-      let blocked = false;
+    super.update(delta, input, cameraAngle);
 
-      const tmp = new THREE.Box3();
-      for ( const box of this.game.staticColliders) {
-        // expand box by the player radius → cheaper than real capsule test
-        tmp.copy(box).expandByScalar(playerRadius);
-        if ( tmp.containsPoint(nextPos) ) {
-          blocked = true;
-          break;
-        }
-      }
-
-      if ( !blocked ) {
-        this.mesh.position.copy( nextPos );
-      }
-      else {
-        this.mesh.position.sub(movement); // undo the last movement
-      }
-
-    } else {
-      this.velocity.set(0, 0, 0);
-      if (!this.isAttacking && this.actions.idle) {
-        this.fadeToAction('idle');
-      }
-    }
-
-  
-    // Knife damage logic
-    if (this.activeAction === this.actions.knife && !this.knifeDamageApplied) {
-      if (this.onKnifeHit) this.onKnifeHit(80);
-      this.knifeDamageApplied = true;
-    }
-  
     // Buff glow
     this.setBuffEffect(this.knifeMult > 1);
   
@@ -275,6 +124,32 @@ export class Player {
       this.auraEffect.update(delta);
     }
   }
+
+  onKnifeStart() {
+    if (!this.actions.knife) return;
+    this.fadeToAction('knife');
+    this.actions.knife.timeScale = this.knifeMult; // uses the getter
+  }
+
+  onKnifeEnd() {
+    if (!this.actions.knife) return;
+    // Reset the knife attack speed back to normal.
+    this.actions.knife.timeScale = 1;
+    // Optionally return to idle.
+    if (this.actions.idle) this.fadeToAction('idle');
+  }
+
+  onMove(moving) {
+    if (this.isAttacking) return;
+    if (moving) {
+      if (this.actions.run) {
+        this.fadeToAction('run');
+        this.actions.run.timeScale = 1;
+      }
+    } else if (this.actions.idle) {
+      this.fadeToAction('idle');
+    }
+  }
   
  
   
@@ -316,10 +191,6 @@ export class Player {
     this.activeAction = newAction;
   }
 
-  heal(amount) {
-    this.health = Math.min(100, this.health + amount);
-  }
-
   showDamageEffects(amount) {
     this.flashRed();
     if (this.game && this.game.ui) {
@@ -327,36 +198,19 @@ export class Player {
       this.game.ui.showFloatingMessage(`-${amount} HP`, this.mesh.position.clone());
     }
   }
- 
-  takeDamage(amount, visualDelayMs = 700) {
-
-    if (!this.alive) return;
-    
-    this.health -= amount;
 
+  onDamaged(amount, visualDelayMs) {
     // schedule the flash/UI after the desired delay
     if (visualDelayMs > 0) {
       setTimeout(() => this.showDamageEffects(amount), visualDelayMs);
     } else {
       this.showDamageEffects(amount);
     }
-
-    if (this.health <= 0) {
-      this.die();
-    }
   }
 
-  die() {
-
-    if (!this.alive) return; // already dead
-
-    this.alive = false;
-
+  onDeath() {
     /* optional: play a death animation or simply freeze */
     if (this.actions.idle) this.fadeToAction('idle');
-
-    /* Tell the Game singleton */
-    this.game?.onPlayerDeath?.();
   }
 
   flashRed(duration = 0.25) {
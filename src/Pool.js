@@ -0,0 +1,60 @@
+/**
+ * Free-list of reusable objects. Bullets, molotovs and enemies are spawned
+ * and dropped all game long; recycling them keeps geometry, materials,
+ * models and particle buffers alive instead of feeding the GC.
+ *
+ *   create(...args)       → a brand-new object, already set up for args
+ *   reset(obj, ...args)   → make a released object good as new for args
+ *   release(obj)          → park it (off the scene, timers stopped …)
+ *   dispose(obj)          → free it for good, when the pool is full
+ */
+export class Pool {
+  /**
+   * @param {{create:Function, reset?:Function, release?:Function,
+   *          dispose?:Function, max?:number}} hooks – max = objects kept idle
+   */
+  constructor({ create, reset = () => {}, release = () => {}, dispose = () => {}, max = Infinity }) {
+    this.create      = create;
+    this.resetHook   = reset;
+    this.releaseHook = release;
+    this.disposeHook = dispose;
+    this.max     = max;
+    this.free    = [];
+    this.parked  = new WeakSet();   // guards against releasing twice
+    this.created = 0;               // total ever built
+  }
+
+  /** a recycled object if there is one, otherwise a new one */
+  acquire(...args) {
+    const obj = this.free.pop();
+    if (obj === undefined) {
+      this.created++;
+      return this.create(...args);
+    }
+    this.parked.delete(obj);
+    this.resetHook(obj, ...args);
+    return obj;
+  }
+
+  /** hands `obj` back; it must not be used again until acquired */
+  release(obj) {
+    if (this.parked.has(obj)) return;
+    this.releaseHook(obj);
+    if (this.free.length >= this.max) {
+      this.disposeHook(obj);
+      return;
+    }
+    this.parked.add(obj);
+    this.free.push(obj);
+  }
+
+  /** builds objects up front (with `args`) until `count` are idle */
+  prewarm(count, ...args) {
+    while (this.free.length < Math.min(count, this.max)) {
+      this.created++;
+      this.release(this.create(...args));
+    }
+  }
+
+  get size() { return this.free.length; }
+}
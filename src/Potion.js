@@ -18,11 +18,11 @@ export class Potion {
      */
     static tryConsume(game) {
         
-        const { player, ui } = game;
+        const { player } = game;
 
         // already under a buff? – bail out
-        if (game._activePotion){
-            ui.showFloatingMessage("🧪 Already under potion effect!", player.mesh.position.clone());
+        if (game.potionActive){
+            game.notify("🧪 Already under potion effect!", player.mesh.position.clone());
             return;
         }
 
@@ -31,16 +31,17 @@ export class Potion {
 
         // enough mana?
         if (!player.spendMana(Potion.COST_MANA)) {
-            ui.showFloatingMessage("Not enough mana!", player.mesh.position.clone());
+            game.notify("Not enough mana!", player.mesh.position.clone());
             return;
         }
 
         // consume the flask & spawn the buff instance
         game.potionTokens--;
-        ui.updatePotionCount(game.potionTokens);
+        game.tokensSpent.potion++;
+        game.tokensChanged();
 
         game._activePotion = new Potion(game);
-        ui.showFloatingMessage("🧪 Potion consumed!", player.mesh.position.clone());
+        game.notify("🧪 Potion consumed!", player.mesh.position.clone());
     }
 
     /* ------------------------------------------------------------ */
@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { rng } from './Random.js';
+
+const random = rng.stream('powerups');   // which one drops, and where
+
+/**
+ * Timed power-ups. Each one is picked up in the world (see the matching
+ * PICKUP_KINDS entries), runs for `duration` seconds and then wears off.
+ * Picking up one that is already running refreshes its timer.
+ *
+ *   bulletHell     – radial Bullet volleys from the player every `interval` s
+ *   knifeSpeed     – × knife attack speed, through the player's modifiers
+ *   attackVelocity – × muzzle velocity, so × mult² kinetic-energy damage
+ */
+export const POWER_UPS = {
+  bulletHell: {
+    icon: '🔥', name: 'Bullet Hell', duration: 8,
+    interval: 0.3, bullets: 16, speed: 260, mass: 0.05,
+  },
+  knifeSpeed: {
+    icon: '⚡', name: 'Knife Frenzy', duration: 12,
+    mult: 3,
+  },
+  attackVelocity: {
+    icon: '🚀', name: 'Velocity Rounds', duration: 10,
+    mult: 1.5,
+  },
+};
+
+export class PowerUpManager {
+  static SPAWN_EVERY   = 25;    // seconds between two world spawns
+  static SPAWN_MIN     = 50;    // spawn ring around the player, metres –
+  static SPAWN_MAX     = 90;    //   outside the pickup magnet, so it's a detour
+  static MAX_IN_WORLD  = 2;     // uncollected power-up pickups at once
+
+  constructor(game) {
+    this.game   = game;
+    this.active = {};            // id → seconds left
+    this.spawnTimer  = PowerUpManager.SPAWN_EVERY;
+    this.volleyTimer = 0;
+    this.volleyPhase = 0;        // each volley is rotated a bit → spiral pattern
+  }
+
+  isActive(id)  { return this.active[id] > 0; }
+
+  /** starts (or refreshes) power-up `id` */
+  activate(id) {
+    const def = POWER_UPS[id];
+    if (!def) return;
+
+    const { player } = this.game;
+    if (!this.isActive(id)) {
+      if (id === 'knifeSpeed') player.addTempModifier('knifeSpeed', def.mult);
+      if (id === 'bulletHell') this.volleyTimer = 0;
+    }
+    this.active[id] = def.duration;
+
+    this.game.notify(`${def.icon} ${def.name}!`, player.mesh.position.clone());
+  }
+
+  /** reverts whatever activate() changed */
+  expire(id) {
+    delete this.active[id];
+    if (id === 'knifeSpeed') this.game.player.removeTempModifier('knifeSpeed', POWER_UPS.knifeSpeed.mult);
+  }
+
+  /** call once per step from Simulation.step */
+  update(delta) {
+    for (const id of Object.keys(this.active)) {
+      this.active[id] -= delta;
+      if (this.active[id] <= 0) this.expire(id);
+    }
+
+    if (this.isActive('bulletHell')) {
+      this.volleyTimer -= delta;
+      if (this.volleyTimer <= 0) {
+        this.volleyTimer = POWER_UPS.bulletHell.interval;
+        this.fireVolley();
+      }
+    }
+
+    this.spawnTimer -= delta;
+    if (this.spawnTimer <= 0) {
+      this.spawnTimer = PowerUpManager.SPAWN_EVERY;
+      this.spawnPickup();
+    }
+  }
+
+  /** what the HUD lists: every running power-up with its seconds left */
+  get running() {
+    return Object.entries(this.active).map(([id, left]) => ({ id, left, ...POWER_UPS[id] }));
+  }
+
+  /** one ring of bullets around the player */
+  fireVolley() {
+    const { bullets, speed, mass } = POWER_UPS.bulletHell;
+    const { player } = this.game;
+
+    this.volleyPhase += Math.PI / bullets;   // half a gap per volley
+    for (let i = 0; i < bullets; i++) {
+      const a   = this.volleyPhase + (i / bullets) * Math.PI * 2;
+      const dir = new THREE.Vector3(Math.cos(a), 0, Math.sin(a));
+      this.game.spawnBullet(player.mesh.position, dir, {
+        speed, mass, source: 'bulletHell'
+      });
+    }
+  }
+
+  /** drops a random power-up somewhere on a ring around the player */
+  spawnPickup() {
+    const { game } = this;
+    const inWorld = game.pickups.filter(p => POWER_UPS[p.kind]).length;
+    if (inWorld >= PowerUpManager.MAX_IN_WORLD) return;
+
+    const ids = Object.keys(POWER_UPS);
+    const id  = random.pick(ids);
+
+    const tmpBox = new THREE.Box3();
+    const size   = new THREE.Vector3(2, 4, 2);
+    for (let i = 0; i < 20; i++) {
+      const a = random.angle();
+      const r = random.float(PowerUpManager.SPAWN_MIN, PowerUpManager.SPAWN_MAX);
+      const pos = game.player.mesh.position.clone()
+                    .add(new THREE.Vector3(Math.cos(a) * r, 0, Math.sin(a) * r))
+                    .setY(0);
+
+      tmpBox.setFromCenterAndSize(pos, size);
+      if (game.staticColliders.some(b => b.intersectsBox(tmpBox))) continue;
+
+      game.spawnPickup(pos, id);
+      return;
+    }
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Seeded random numbers for a run. Every system rolls its dice on a named
+ * stream of `rng` instead of Math.random, so one seed reproduces the map,
+ * the waves and the drops. `?seed=` in the URL picks it (a number or any
+ * text); without it a fresh seed is drawn, and the game-over panel shows it.
+ *
+ * Streams are independent generators derived from the seed and their name:
+ * more particles or a few extra shots never shift the rock layout.
+ */
+
+/** mulberry32: small, fast 32-bit PRNG → () => [0, 1) */
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** 32-bit FNV-1a, turns '?seed=banana' and stream names into numbers */
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** `?seed=123` → 123, `?seed=banana` → its hash, no parameter → null */
+export function parseSeed(text) {
+  if (text === null || text === undefined || text === '') return null;
+  return /^\d+$/.test(text) ? Number(text) >>> 0 : hashString(text);
+}
+
+export class Random {
+  constructor(seed) {
+    this.streams = new Map();    // name → Random
+    this.next    = () => this.gen();   // bound: pass it wherever a () => [0,1) is expected
+    this.reseed(seed);
+  }
+
+  /** restarts this generator and all of its streams from `seed` */
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    this.gen  = mulberry32(this.seed);
+    for (const [name, s] of this.streams) s.reseed(hashString(`${this.seed}:${name}`));
+  }
+
+  /** the generator for one system; same seed + name → same sequence */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new Random(hashString(`${this.seed}:${name}`)));
+    }
+    return this.streams.get(name);
+  }
+
+  /** [min, max) */
+  float(min = 0, max = 1) { return min + (max - min) * this.gen(); }
+
+  /** [-range/2, range/2), like THREE.MathUtils.randFloatSpread */
+  spread(range) { return range * (0.5 - this.gen()); }
+
+  /** integer in [0, n) */
+  int(n) { return Math.floor(this.gen() * n); }
+
+  /** a random element of `list` */
+  pick(list) { return list[this.int(list.length)]; }
+
+  /** [0, 2π) */
+  angle() { return this.gen() * Math.PI * 2; }
+
+  /** true with probability p */
+  chance(p) { return this.gen() < p; }
+}
+
+const urlSeed = typeof location !== 'undefined'
+  ? parseSeed(new URLSearchParams(location.search).get('seed'))
+  : null;
+
+/** the run's generator; rng.seed is what to share to replay a map */
+export const rng = new Random(urlSeed ?? Math.floor(Math.random() * 2 ** 32));
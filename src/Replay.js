@@ -0,0 +1,153 @@
+/**
+ * Input recording and deterministic replay. With the fixed-step loop and the
+ * seeded RNG a run only depends on its seed and on what came in from outside
+ * between two steps, so that is all a replay file holds:
+ *
+ *   events – one ordered list of [tick, kind, …] where tick is the step the
+ *            event came before:
+ *              [t, 'k', code, 0|1]  a key / button changed (Game.input, plus
+ *                                   'Trigger' for Game.triggerPressed)
+ *              [t, 'c', command]    a Game.command (placement, spells, perks …);
+ *                                   the difficulty pick comes first, at tick 0
+ *              [t, 'p', seq]        PathService handed out worker answer #seq
+ *              [t, 's']             PathService dropped its worker
+ *   aims   – [t, x, z] ground point the weapon fired at during step t
+ *
+ * Game records every run; F9 saves it, F8 loads one and plays it back.
+ */
+export const REPLAY_VERSION = 2;   // 2: the difficulty pick is a 'difficulty' command
+
+const STORAGE_KEY = 'replay';   // sessionStorage, survives the reload into playback
+
+/** rounds a coordinate the same way for the live run and its file */
+export function quantize(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+export class ReplayRecorder {
+  /**
+   * @param {{seed:number, step:number, asyncPaths:boolean}} header
+   */
+  constructor(header) {
+    this.header = header;
+    this.events = [];
+    this.aims   = [];
+    this.keys   = {};   // input as the simulation last left it
+    this.ticks  = 0;
+  }
+
+  /**
+   * Logs every key that differs from what the simulation last saw; call at
+   * the start of a step and before each command.
+   */
+  input(tick, input, trigger) {
+    for (const code in input) {
+      if (!!input[code] !== !!this.keys[code]) this.events.push([tick, 'k', code, input[code] ? 1 : 0]);
+    }
+    if (trigger !== !!this.keys.Trigger) this.events.push([tick, 'k', 'Trigger', trigger ? 1 : 0]);
+  }
+
+  /** remembers the input as the simulation (or a command) left it */
+  settle(input, trigger) {
+    for (const code in input) this.keys[code] = !!input[code];
+    this.keys.Trigger = trigger;
+  }
+
+  command(tick, cmd) { this.events.push([tick, 'c', cmd]); }
+  path(tick, seq)    { this.events.push([tick, 'p', seq]); }
+  mainThread(tick)   { this.events.push([tick, 's']); }
+  aim(tick, x, z)    { this.aims.push([tick, x, z]); }
+
+  toJSON() {
+    return { version: REPLAY_VERSION, ...this.header, ticks: this.ticks,
+             events: this.events, aims: this.aims };
+  }
+
+  /** saves the run so far as a .replay.json download */
+  download() {
+    const blob = new Blob([JSON.stringify(this)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `run-${this.header.seed}-${this.ticks}.replay.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
+}
+
+export class ReplayPlayer {
+  /** @param {object} data – a parsed replay file (ReplayRecorder.toJSON) */
+  constructor(data) {
+    if (data?.version !== REPLAY_VERSION) throw new Error(`unsupported replay version ${data?.version}`);
+    this.data   = data;
+    this.cursor = 0;   // next event to play
+    this.aims   = new Map(data.aims.map(([t, x, z]) => [t, { x, z }]));
+  }
+
+  get ticks() { return this.data.ticks; }
+  get seed()  { return this.data.seed; }
+
+  /** true once every recorded step has been played */
+  finished(tick) { return tick >= this.data.ticks; }
+
+  /**
+   * Plays the events recorded before step `tick`, in their original order.
+   * @param {{key:Function, command:Function, path:Function, mainThread:Function}} to
+   */
+  run(tick, to) {
+    const events = this.data.events;
+    while (this.cursor < events.length && events[this.cursor][0] <= tick) {
+      const [, kind, a, b] = events[this.cursor++];
+      switch (kind) {
+        case 'k': to.key(a, b === 1); break;
+        case 'c': to.command(a);      break;
+        case 'p': to.path(a);         break;
+        case 's': to.mainThread();    break;
+      }
+    }
+  }
+
+  /** where the weapon fired during step `tick`, or null */
+  aim(tick) { return this.aims.get(tick) ?? null; }
+}
+
+/* ───── moving a replay into playback (a fresh page load) ──────────── */
+
+/**
+ * Stores `data` and reloads the page into playback of it, optionally
+ * fast-forwarded to step `seekTo`. The seed goes into the URL, so the map
+ * is generated from it before anything else runs.
+ */
+export function startPlayback(data, seekTo = 0) {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ data, seekTo }));
+  location.search = `?seed=${data.seed}&replay`;
+}
+
+/** the replay this page load should play (see startPlayback), or null */
+export function pendingPlayback() {
+  if (!new URLSearchParams(location.search).has('replay')) return null;
+  const stored = sessionStorage.getItem(STORAGE_KEY);
+  if (!stored) return null;
+
+  const { data, seekTo } = JSON.parse(stored);
+  return { player: new ReplayPlayer(data), seekTo };
+}
+
+/** asks for a .replay.json file and starts playing it */
+export function pickReplayFile() {
+  const input = document.createElement('input');
+  input.type   = 'file';
+  input.accept = '.json,application/json';
+  input.onchange = async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      new ReplayPlayer(data);   // validates
+      startPlayback(data);
+    } catch (e) {
+      console.error('Not a replay file', e);
+      alert(`Can't play this file: ${e.message}`);
+    }
+  };
+  input.click();
+}
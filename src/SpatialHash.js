@@ -0,0 +1,93 @@
+/**
+ * Uniform-grid spatial hash on the XZ plane. Items are inserted with the
+ * position they had at insert time; rebuild it (clear + insert) once per frame
+ * rather than moving items around. Buckets are kept between frames and only
+ * emptied, so a rebuild allocates nothing once the horde has spread out.
+ */
+export class SpatialHash {
+  /** @param {number} cellSize – metres per bucket, ≈ the usual query radius */
+  constructor(cellSize = 4) {
+    this.cellSize = cellSize;
+    this.buckets  = new Map();   // key → { items, xs, zs }
+    this.used     = [];          // buckets holding something this frame
+  }
+
+  key(cx, cz) {
+    return (cx + 32768) * 65536 + (cz + 32768);
+  }
+
+  clear() {
+    for (const b of this.used) {
+      b.items.length = 0;
+      b.xs.length = 0;
+      b.zs.length = 0;
+    }
+    this.used.length = 0;
+  }
+
+  insert(item, x, z) {
+    const k = this.key(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+    let b = this.buckets.get(k);
+    if (!b) {
+      b = { items: [], xs: [], zs: [] };
+      this.buckets.set(k, b);
+    }
+    if (b.items.length === 0) this.used.push(b);
+    b.items.push(item);
+    b.xs.push(x);
+    b.zs.push(z);
+  }
+
+  /** clear() + insert every item at its `mesh.position` */
+  rebuild(items) {
+    this.clear();
+    for (const item of items) this.insert(item, item.mesh.position.x, item.mesh.position.z);
+  }
+
+  /**
+   * Calls fn(item, dx, dz, dSq) for every item within `radius` of (x, z),
+   * with (dx, dz) the offset from (x, z) to the item's inserted position.
+   */
+  forEachInRadius(x, z, radius, fn) {
+    const s   = this.cellSize;
+    const rSq = radius * radius;
+    const cx0 = Math.floor((x - radius) / s), cx1 = Math.floor((x + radius) / s);
+    const cz0 = Math.floor((z - radius) / s), cz1 = Math.floor((z + radius) / s);
+
+    for (let cx = cx0; cx <= cx1; cx++) {
+      for (let cz = cz0; cz <= cz1; cz++) {
+        const b = this.buckets.get(this.key(cx, cz));
+        if (!b) continue;
+        for (let i = 0; i < b.items.length; i++) {
+          const dx = b.xs[i] - x, dz = b.zs[i] - z;
+          const dSq = dx * dx + dz * dz;
+          if (dSq <= rSq) fn(b.items[i], dx, dz, dSq);
+        }
+      }
+    }
+  }
+
+  /**
+   * Items within `radius` of (x, z), measured to their inserted position.
+   * @param {Array} [out] – filled and returned, reuse it to avoid garbage
+   */
+  queryRadius(x, z, radius, out = []) {
+    out.length = 0;
+    this.forEachInRadius(x, z, radius, (item) => out.push(item));
+    return out;
+  }
+
+  /**
+   * Items within `radius` of (x, z) that also lie inside the cone around the
+   * unit direction (dirX, dirZ) with the given half-angle. An item sitting
+   * exactly on the apex counts as inside.
+   */
+  queryCone(x, z, dirX, dirZ, radius, halfAngle, out = []) {
+    out.length = 0;
+    const cos = Math.cos(halfAngle);
+    this.forEachInRadius(x, z, radius, (item, dx, dz, dSq) => {
+      if (dSq < 1e-12 || (dx * dirX + dz * dirZ) / Math.sqrt(dSq) > cos) out.push(item);
+    });
+    return out;
+  }
+}
@@ -1,24 +1,33 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.150.1/examples/jsm/loaders/GLTFLoader.js';
-import { Bullet } from './Bullet.js';
-import { loadingMgr } from './LoadingMgr.js';
-
-export class Turret {
-  constructor(pos, scene, spawner, bulletArray) {
-    this.fireRate   = 2;   // shots/sec
-    this.range      = 5000;  // firing radius
-    this.turnSpeed  = 2;   // radians/sec
-    this.cooldown   = 0;
-    this.bulletArray = bulletArray;
-    this.scene    = scene;
-    this.spawner  = spawner;
-    this.object   = new THREE.Group();  // will hold the loaded GLTF mesh
-    this.object.position.copy(pos);
-    this.scene.add(this.object);
-
-    // Load the GLTF turret model
-    const loader = new GLTFLoader(loadingMgr);
-    loader.load('assets/turret/scene.gltf', gltf => {
+import { withModel } from './ModelCache.js';
+import { HealthBar } from './HealthBar.js';
+import { SimTurret } from './sim/SimTurret.js';
+
+/* shared materials swapped in for the hit flash and the burnt-out wreck */
+const FLASH_MAT = new THREE.MeshBasicMaterial({ color: 0xffffff });
+const WRECK_MAT = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 1 });
+
+/**
+ * A SimTurret on screen: the GLTF model with its muzzle, the white hit
+ * flash, the health bar, the wreck look and the range ring while selected.
+ */
+export class Turret extends SimTurret {
+  static FLASH_TIME  = 0.1;             // seconds the white hit flash lasts
+
+  constructor(pos, game) {
+    super(pos, game);
+    this.rangeRing  = null;               // only while selected
+    this.flashTimer = 0;
+    this.meshes     = [];                 // model meshes + their own materials, for the flash
+    this.scene    = game.scene;
+    this.scene.add(this.object);          // the group will hold the loaded GLTF mesh
+
+    this.healthBar = new HealthBar({ width: 3, y: 4 });
+    this.healthBar.group.visible = false;   // only once it has taken a hit
+    this.object.add(this.healthBar.group);
+
+    // The GLTF turret model, parsed once by ModelCache and cloned per turret
+    withModel('assets/turret/scene.gltf', gltf => {
       const model = gltf.scene;
 
       // this is needed to make the model cast shadows
@@ -26,6 +35,7 @@ export class Turret {
       if (o.isMesh) {
         o.castShadow    = true;    // ← THIS makes the sun paint its silhouette
         o.receiveShadow = true;    // nice contact darkening on itself (optional)
+        this.meshes.push({ mesh: o, material: o.material });
       }
       });
 
@@ -37,6 +47,7 @@ export class Turret {
       const box = new THREE.Box3().setFromObject(model);
       const heightBelowOrigin = box.min.y;   // negative
       model.position.y -= heightBelowOrigin; // now sits on y = 0
+      this.healthBar.group.position.y = box.max.y - box.min.y + 1;   // just above the top
 
       /* 2. create a muzzle helper ------------------------------------- */
       // Pick a position relative to the model.  Here we take the
@@ -54,57 +65,84 @@ export class Turret {
     });
   }
 
-  update(dt) {
-    // Find closest enemy
-    let closest = null;
-    let closestDistSq = this.range;
+  upgrade(stat) {
+    if (!super.upgrade(stat)) return false;
+    if (stat === 'range' && this.rangeRing) this.rangeRing.scale.setScalar(this.range / Turret.BASE_RANGE);
+    return true;
+  }
 
-    for (const e of this.spawner.enemies) {
-      const dSq = e.mesh.position.distanceToSquared(this.object.position);
-      if (dSq < closestDistSq) {
-        closest = e;
-        closestDistSq = dSq;
-      }
+  /** shows / hides the range ring, same look as the placement ghost */
+  setSelected(selected) {
+    if (selected && !this.rangeRing) {
+      const r = Turret.BASE_RANGE;
+      this.rangeRing = new THREE.Mesh(
+        new THREE.RingGeometry(r * 0.93, r, 64),
+        new THREE.MeshBasicMaterial({ color: 0x00ff00, transparent: true, opacity: 0.4, depthWrite: false })
+      );
+      this.rangeRing.rotation.x = -Math.PI / 2;   // lie flat
+      this.rangeRing.position.y = 0.03;           // avoid z-fighting
+      this.rangeRing.scale.setScalar(this.range / Turret.BASE_RANGE);
     }
+    if (!this.rangeRing) return;
 
-    if (!closest) {
-      this.cooldown = Math.max(0, this.cooldown - dt);
-      return;
+    // the ring lives in the scene, not on the (rotating) turret group
+    if (selected) {
+      this.rangeRing.position.x = this.object.position.x;
+      this.rangeRing.position.z = this.object.position.z;
+      this.scene.add(this.rangeRing);
+    } else {
+      this.scene.remove(this.rangeRing);
     }
+  }
 
-    // Aim at enemy (XZ plane only)
-    const toTarget = closest.mesh.position.clone()
-                       .sub(this.object.position)
-                       .setY(0)
-                       .normalize();
-
-    const currentDir = new THREE.Vector3(0, 0, 1)
-                         .applyQuaternion(this.object.quaternion);
-    const angle = currentDir.angleTo(toTarget);
-    const maxStep = this.turnSpeed * dt;
-
-    if (angle > 0.001) {
-      const axis = currentDir.clone().cross(toTarget).normalize();
-      const step = Math.min(maxStep, angle);
-      this.object.quaternion.multiply(
-        new THREE.Quaternion().setFromAxisAngle(axis, step)
-      );
-    }
+  onDamaged() {
+    this.healthBar.set(this.health / this.maxHealth);
+    this.healthBar.group.visible = true;
+
+    // white flash: swap every material for a moment, update() swaps back
+    this.flashTimer = Turret.FLASH_TIME;
+    this.setMaterial(FLASH_MAT);
+  }
+
+  /** null restores each mesh's own material */
+  setMaterial(material) {
+    for (const m of this.meshes) m.mesh.material = material ?? m.material;
+  }
 
-    // Fire
-    this.cooldown -= dt;
-    if (
-      angle < 0.001 && 
-      this.cooldown <= 0 && 
-      closestDistSq < this.range
-    ) {
+  /** the wreck: dark, askew, no bar */
+  destroy() {
+    super.destroy();
+    this.flashTimer = 0;
+    this.setMaterial(WRECK_MAT);
+    this.setSelected(false);
+    this.healthBar.group.visible = false;
+    this.object.rotateZ(0.25);   // knocked askew
+  }
 
-      const muzzlePos = this.muzzle.getWorldPosition(new THREE.Vector3());
-      const muzzleDir = closest.mesh.position.clone().sub(muzzlePos).normalize();
+  /** removes the turret from the scene (sold or wreck expired) */
+  dispose() {
+    super.dispose();
+    this.setSelected(false);
+    this.healthBar.dispose();
+    this.rangeRing?.geometry.dispose();
+    this.rangeRing?.material.dispose();
+    this.scene.remove(this.object);
+  }
 
-      const bullet = new Bullet(muzzlePos, muzzleDir, this.scene);
-      this.bulletArray.push(bullet)
-      this.cooldown = 1 / this.fireRate;
+  /** the model's muzzle once it is loaded */
+  muzzlePosition(out) {
+    return this.muzzle ? this.muzzle.getWorldPosition(out) : super.muzzlePosition(out);
+  }
+
+  /** also runs the hit flash and the health bar */
+  update(dt, camera) {
+    if (this.alive) {
+      if (this.flashTimer > 0) {
+        this.flashTimer -= dt;
+        if (this.flashTimer <= 0) this.setMaterial(null);
+      }
+      this.healthBar.update(dt, camera);
     }
+    return super.update(dt);
   }
 }
@@ -1,3 +1,6 @@
+import { WEAPONS, WEAPON_SLOTS } from './Weapons.js';
+import { Turret } from './Turret.js';
+
 export class UI {
   constructor() {
 
@@ -22,6 +25,18 @@ export class UI {
         .turret-btn  { --glow:#0f0; filter:drop-shadow(0 0 4px var(--glow)); }
         .molotov-btn { --glow:#f60; filter:drop-shadow(0 0 4px var(--glow)); }
         .potion-btn { --glow:#FFD700; filter:drop-shadow(0 0 4px var(--glow)); }
+
+        /* weapon slots: the equipped one lights up, the bar shows the reload */
+        .weapon-slot{
+          width:48px; aspect-ratio:1; box-sizing:border-box;
+          display:flex; flex-direction:column; align-items:center; justify-content:center;
+          border:1px solid var(--hud-border); border-radius:8px;
+          background:#0006; opacity:.45; transition:opacity .15s, box-shadow .15s;
+        }
+        .weapon-slot .icon{ font-size:22px; line-height:1; }
+        .weapon-slot .ammo{ font:bold 10px/1.2 Arial,sans-serif; color:#fff; }
+        .weapon-slot.active{ opacity:1; box-shadow:0 0 8px 1px #ffb200; border-color:#ffb200; }
+        .weapon-slot.empty .ammo{ color:#f44; }
       `;
       document.head.appendChild(style);
     }
@@ -166,6 +181,15 @@ export class UI {
           pointer-events:none;
         }
 
+        /* short golden flash when a new level is reached */
+        .level-ring.level-up,
+        .level-badge.level-up{ animation:level-up .8s ease-out; }
+        @keyframes level-up{
+          0%  { transform:scale(1);   box-shadow:0 0 0   0 #ffd700; }
+          40% { transform:scale(1.5); box-shadow:0 0 12px 4px #ffd700; }
+          100%{ transform:scale(1);   box-shadow:0 0 0   0 #ffd700; }
+        }
+
 
         /* —— bar column —— */
         .centre-hud .bars{display:flex; flex-direction:column; gap:4px;}
@@ -183,6 +207,35 @@ export class UI {
           filter:drop-shadow(0 0 4px #0008);
           transition:transform .15s;
         }
+        /* —— active power-ups —— */
+        .centre-hud .powerup-row{display:flex; gap:8px;}
+        .centre-hud .powerup-row:empty{display:none;}
+        .centre-hud .powerup{
+          --pct:100%;
+          position:relative; width:34px; aspect-ratio:1; border-radius:50%;
+          display:flex; align-items:center; justify-content:center;
+          background:conic-gradient(#ffd700 var(--pct), #0008 0);
+        }
+        .centre-hud .powerup .icon{
+          width:28px; aspect-ratio:1; border-radius:50%; background:#000c;
+          display:flex; align-items:center; justify-content:center; font-size:16px;
+        }
+        .centre-hud .powerup .left{
+          position:absolute; bottom:-6px; right:-6px;
+          font:bold 11px Arial,sans-serif; color:#fff; text-shadow:0 0 3px #000;
+        }
+
+        /* —— boss bar —— */
+        .centre-hud .boss-bar{
+          display:none; flex-direction:column; gap:3px; width:260px;
+          font:bold 13px sans-serif; color:#f6c; text-shadow:0 0 4px #000;
+          letter-spacing:1px; text-transform:uppercase;
+        }
+        .centre-hud .boss-bar .bar-back{width:100%; height:14px; border-color:#f0f;}
+        .centre-hud .boss-fill{
+          height:100%; background:linear-gradient(90deg,#800030,#ff2080);
+          transition:width .15s linear;
+        }
         .centre-hud .spell.low-mana{animation:pulse 1s infinite alternate;}
         @keyframes pulse{from{transform:scale(1)}to{transform:scale(.9)}}
       `;
@@ -308,6 +361,12 @@ export class UI {
     this.centerHUD.className = 'centre-hud';
     document.body.appendChild(this.centerHUD);
 
+    /* ── ACTIVE POWER-UPS (icon + shrinking ring per running buff) ── */
+    this.powerUpRow = document.createElement('div');
+    this.powerUpRow.className = 'powerup-row';
+    this.centerHUD.appendChild(this.powerUpRow);
+    this._powerUpIcons = {};    // id → element, reused while the buff runs
+
     /* ── SPELL BAR ───────────────────────── */
     const spellRow = document.createElement('div');
     spellRow.style.cssText = `
@@ -363,16 +422,20 @@ export class UI {
     });
     
 
-    /* empty slots */
-    for (let k = 4; k <= 5; k++) {
-      const placeholder = document.createElement('img');
-      placeholder.src   = 'assets/ui/horde/empty.svg';   // a 48×48 grey frame
-      placeholder.alt   = `Spell ${k}`;
-      placeholder.classList.add('ui-btn');
-      placeholder.style.opacity = '.25';
-      addKeyBadge(placeholder, String(k));
-      spellRow.appendChild(placeholder);
-    }
+    /* — 4-7. Weapon slots (knife, pistol, shotgun, rifle) — */
+    const slotSep = document.createElement('div');
+    slotSep.style.cssText = 'width:1px; align-self:stretch; background:var(--hud-border);';
+    spellRow.appendChild(slotSep);
+
+    this.weaponSlots = WEAPON_SLOTS.map((id, i) => {
+      const slot = document.createElement('div');
+      slot.className = 'weapon-slot';
+      slot.title = WEAPONS[id].name;
+      slot.innerHTML = `<span class="icon">${WEAPONS[id].icon}</span><span class="ammo"></span>`;
+      addKeyBadge(slot, String(4 + i));
+      spellRow.appendChild(slot);
+      return slot;
+    });
 
 
     /* avatar + level */
@@ -438,6 +501,32 @@ export class UI {
     coreRow.appendChild(bars);
     coreRow.appendChild(this.horde);
 
+    /* boss bar, docked right of the horde badge – hidden until a boss shows up */
+    this.bossBar = document.createElement('div');
+    this.bossBar.className = 'boss-bar';
+    this.bossName = document.createElement('div');
+    const bossBack = document.createElement('div');
+    bossBack.className = 'bar-back';
+    this.bossFill = document.createElement('div');
+    this.bossFill.className = 'boss-fill';
+    bossBack.appendChild(this.bossFill);
+    this.bossBar.append(this.bossName, bossBack);
+    coreRow.appendChild(this.bossBar);
+
+    /** @param {string} name – shown above the bar */
+    this.showBossBar = (name) => {
+      this.bossName.textContent = `☠ ${name}`;
+      this.bossFill.style.width = '100%';
+      this.bossBar.style.display = 'flex';
+    };
+
+    /** @param {number} pct 0-100 */
+    this.updateBossBar = (pct) => {
+      this.bossFill.style.width = `${Math.max(0,Math.min(pct,100))}%`;
+    };
+
+    this.hideBossBar = () => { this.bossBar.style.display = 'none'; };
+
     /**
      * @param {number} hp   0-100
      * @param {number} mp   0-100
@@ -589,21 +678,336 @@ export class UI {
       this.fadeLayer.addEventListener('transitionend', cb, { once:true });
     };
 
-    this.showGameOver = (wave,timeStr)=>{
+    // seed: the run's RNG seed, add ?seed=… to the URL to play the same map again
+    this.showGameOver = (wave,timeStr,seed)=>{
       this.gameOverPanel.innerHTML = `
         <div style="font-size:72px;margin-bottom:.3em">💀 Game Over 💀</div>
         <div style="font-size:32px">Wave ${wave}</div>
         <div style="font-size:32px;margin-bottom:.6em">${timeStr}</div>
+        ${seed !== undefined ? `<div style="font-size:18px;opacity:.7;margin-bottom:.3em">Seed ${seed} · F9 saves the replay</div>` : ''}
         <div style="font-size:18px;opacity:.7">Press R to restart</div>`;
       this.gameOverPanel.style.opacity = 1;
     };
 
 
+    /* ╭─ level-up perk panel ("choose 1 of 3") ──────────────────────────╮ */
+    if (!document.getElementById('perk-panel-style')) {
+      const style = document.createElement('style');
+      style.id = 'perk-panel-style';
+      style.textContent = `
+        .perk-panel{
+          position:fixed; inset:0; z-index:1001;      /* above the dim layer */
+          display:none; flex-direction:column;
+          align-items:center; justify-content:center; gap:24px;
+          font-family:Arial,sans-serif; color:#fff;
+        }
+        .perk-panel h2{ margin:0; font:36px/1 'Impact',sans-serif; color:#ffd700;
+                        text-shadow:0 0 8px #000; }
+        .perk-row{ display:flex; gap:18px; }
+        .perk-card{
+          position:relative; width:170px; padding:18px 14px;
+          border:1px solid var(--hud-border); border-radius:12px;
+          background:var(--hud-bg); backdrop-filter:blur(8px);
+          text-align:center; cursor:pointer;
+          transition:transform .1s, box-shadow .15s;
+        }
+        .perk-card:hover{ transform:translateY(-4px); box-shadow:0 0 12px 2px #ffd70080; }
+        .perk-card .icon{ font-size:40px; }
+        .perk-card .name{ margin:8px 0 4px; font-weight:bold; font-size:18px; }
+        .perk-card .desc{ font-size:14px; opacity:.8; }
+        .perk-card .key{
+          position:absolute; top:-8px; left:-8px;
+          width:22px; height:22px; border-radius:50%;
+          background:#000d; border:1px solid #fff; font:13px/22px Arial,sans-serif;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    this.perkPanel = document.createElement('div');
+    this.perkPanel.className = 'perk-panel';
+    document.body.appendChild(this.perkPanel);
+    this._choice = null;        // { cards, onPick } while the panel is open (perks or difficulty)
+
+    /* ╭─ turret context panel (upgrade / sell) ──────────────────────────╮ */
+    if (!document.getElementById('turret-panel-style')) {
+      const style = document.createElement('style');
+      style.id = 'turret-panel-style';
+      style.textContent = `
+        .turret-panel{
+          position:fixed; right:20px; top:50%; translate:0 -50%; z-index:900;
+          display:none; flex-direction:column; gap:8px; width:230px;
+          padding:12px 14px; border:1px solid var(--hud-border); border-radius:12px;
+          background:var(--hud-bg); backdrop-filter:blur(8px);
+          font:14px Arial,sans-serif; color:#fff;
+        }
+        .turret-panel h3{ margin:0 0 4px; font:20px/1 'Impact',sans-serif; color:#0f0; }
+        .turret-panel .close{ position:absolute; top:8px; right:10px; cursor:pointer; opacity:.7; }
+        .turret-panel .row{ display:flex; align-items:center; gap:6px; }
+        .turret-panel .row .label{ flex:1; }
+        .turret-panel .pips{ letter-spacing:2px; color:#ffd700; font-size:11px; }
+        .turret-panel button{
+          min-width:64px; padding:3px 6px; border:1px solid var(--hud-border); border-radius:6px;
+          background:#0008; color:#fff; font:12px Arial,sans-serif; cursor:pointer;
+        }
+        .turret-panel button:hover:not(:disabled){ background:#0a04; border-color:#0f0; }
+        .turret-panel button:disabled{ opacity:.4; cursor:default; }
+        .turret-panel .target{ padding-bottom:6px; border-bottom:1px solid var(--hud-border); }
+        .turret-panel .mode{ max-width:140px; }
+        .turret-panel .sell{ margin-top:4px; width:100%; }
+        .turret-panel .sell:hover{ background:#a004 !important; border-color:#f44 !important; }
+      `;
+      document.head.appendChild(style);
+    }
+
+    this.turretPanel = document.createElement('div');
+    this.turretPanel.className = 'turret-panel';
+    document.body.appendChild(this.turretPanel);
+
+    /* ╭─ replay controls (only while playing a recorded run) ────────────╮ */
+    if (!document.getElementById('replay-bar-style')) {
+      const style = document.createElement('style');
+      style.id = 'replay-bar-style';
+      style.textContent = `
+        .replay-bar{
+          position:fixed; left:50%; bottom:150px; translate:-50% 0; z-index:900;
+          display:none; align-items:center; gap:8px; width:520px;
+          padding:8px 12px; border:1px solid var(--hud-border); border-radius:12px;
+          background:var(--hud-bg); backdrop-filter:blur(8px);
+          font:13px Arial,sans-serif; color:#fff;
+        }
+        .replay-bar button{
+          min-width:34px; padding:3px 6px; border:1px solid var(--hud-border); border-radius:6px;
+          background:#0008; color:#fff; font:13px Arial,sans-serif; cursor:pointer;
+        }
+        .replay-bar button.on{ border-color:#ffd700; color:#ffd700; }
+        .replay-bar input[type=range]{ flex:1; }
+        .replay-bar .time{ min-width:90px; text-align:right; font-variant-numeric:tabular-nums; }
+      `;
+      document.head.appendChild(style);
+    }
+
+    this.replayBar = document.createElement('div');
+    this.replayBar.className = 'replay-bar';
+    document.body.appendChild(this.replayBar);
+
     this.updateLevelRing?.(1,0); // to make the HUD start at level 1 / 0%
   }
 
+  /**
+   * Opens the context panel of a selected turret.
+   * @param {Turret} turret
+   * @param {{onUpgrade:Function, onSell:Function, onTargeting:Function}} handlers
+   *        – onUpgrade(stat); onTargeting() cycles the targeting mode
+   */
+  showTurretPanel(turret, { onUpgrade, onSell, onTargeting }) {
+    const p = this.turretPanel;
+    p.innerHTML = `<span class="close" title="Esc">✕</span><h3>🛡️ Turret</h3>`;
+    p.querySelector('.close').addEventListener('click', () => this.onCloseTurretPanel?.());
+
+    const target = document.createElement('div');
+    target.className = 'row target';
+    target.innerHTML = `<span>🎯</span><span class="label">Target</span>
+                        <button class="mode" title="T"></button>`;
+    target.querySelector('button').addEventListener('click', () => onTargeting());
+    p.appendChild(target);
+
+    for (const [stat, up] of Object.entries(Turret.UPGRADES)) {
+      const row = document.createElement('div');
+      row.className = 'row';
+      row.innerHTML = `<span>${up.icon}</span><span class="label">${up.name}</span>
+                       <span class="pips"></span><button></button>`;
+      row.dataset.stat = stat;
+      row.querySelector('button').addEventListener('click', () => onUpgrade(stat));
+      p.appendChild(row);
+    }
+
+    const sell = document.createElement('button');
+    sell.className = 'sell';
+    sell.addEventListener('click', () => onSell());
+    p.appendChild(sell);
+
+    this.updateTurretPanel(turret);
+    p.style.display = 'flex';
+  }
+
+  /** refreshes tiers, prices and the sell value after a purchase */
+  updateTurretPanel(turret) {
+    const p = this.turretPanel;
+    for (const row of p.querySelectorAll('.row[data-stat]')) {
+      const stat = row.dataset.stat;
+      const tier = turret.tiers[stat];
+      const max  = Turret.UPGRADES[stat].cost.length;
+      const cost = turret.upgradeCost(stat);
+      row.querySelector('.pips').textContent = '●'.repeat(tier) + '○'.repeat(max - tier);
+      const btn = row.querySelector('button');
+      btn.textContent = cost === null ? 'MAX' : `↑ ${cost} MP`;
+      btn.disabled = cost === null;
+    }
+    p.querySelector('.sell').textContent = `Sell  (+1 🛡️  +${turret.sellValue} MP)`;
+
+    const mode = Turret.TARGETING[turret.targeting];
+    p.querySelector('.mode').textContent = `${mode.icon} ${mode.name}`;
+  }
+
+  hideTurretPanel() {
+    this.turretPanel.style.display = 'none';
+  }
+
+  /**
+   * Shows the replay controls: play / pause, 1× 2× 4× and a seek slider.
+   * @param {number} ticks – length of the recording in simulation steps
+   * @param {number} stepTime – seconds per step, for the clock
+   * @param {{onToggle:Function, onSpeed:Function, onSeek:Function}} handlers
+   *        – onSpeed(multiplier), onSeek(tick)
+   */
+  showReplayBar(ticks, stepTime, { onToggle, onSpeed, onSeek }) {
+    const bar = this.replayBar;
+    bar.innerHTML = `<span>⏺ Replay</span>
+      <button class="play" title="Space"></button>
+      <button data-speed="1" title="1">1×</button>
+      <button data-speed="2" title="2">2×</button>
+      <button data-speed="4" title="4">4×</button>
+      <input type="range" min="0" max="${ticks}" step="1" value="0" title="← / →">
+      <span class="time"></span>`;
+    this._replay = { ticks, stepTime, seeking: false };
+
+    bar.querySelector('.play').addEventListener('click', () => onToggle());
+    for (const b of bar.querySelectorAll('[data-speed]')) {
+      b.addEventListener('click', () => onSpeed(Number(b.dataset.speed)));
+    }
+    const slider = bar.querySelector('input');
+    slider.addEventListener('input',  () => { this._replay.seeking = true; });
+    slider.addEventListener('change', () => {
+      this._replay.seeking = false;
+      onSeek(Number(slider.value));
+    });
+    bar.style.display = 'flex';
+  }
+
+  /** refreshes the replay controls; call once per frame */
+  updateReplayBar(tick, playing, speed) {
+    const r = this._replay;
+    if (!r) return;
+    const bar = this.replayBar;
+    const clock = (t) => {
+      const s = Math.floor(t * r.stepTime);
+      return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+    };
+
+    bar.querySelector('.play').textContent = playing ? '⏸' : '▶';
+    for (const b of bar.querySelectorAll('[data-speed]')) {
+      b.classList.toggle('on', Number(b.dataset.speed) === speed);
+    }
+    if (!r.seeking) bar.querySelector('input').value = tick;
+    bar.querySelector('.time').textContent = `${clock(tick)} / ${clock(r.ticks)}`;
+  }
+
+  /**
+   * Shows up to three perk cards; `onPick(perk)` fires once, on click or key 1-3.
+   * Game sends the clicks through its command queue (replays record them).
+   * @param {{icon:string,name:string,desc:string}[]} perks
+   * @param {Function} onPick
+   */
+  showPerkChoice(perks, onPick) {
+    this.showChoice(perks, onPick, 'Level up! Choose a perk', this.onPerkClick);
+  }
+
+  /** the difficulty presets on the same cards, before the run; `onPick(preset)` fires once */
+  showDifficultyChoice(presets, onPick) {
+    this.showChoice(presets, onPick, 'Choose your difficulty');
+  }
+
+  /**
+   * The card panel behind both choices.
+   * @param {Function} [onClick] – gets the card index instead of pickChoice
+   */
+  showChoice(cards, onPick, title, onClick) {
+    this._choice = { cards, onPick };
+
+    this.perkPanel.innerHTML = `<h2>${title}</h2>`;
+    const row = document.createElement('div');
+    row.className = 'perk-row';
+    this.perkPanel.appendChild(row);
+
+    cards.forEach((card, i) => {
+      const el = document.createElement('div');
+      el.className = 'perk-card';
+      el.innerHTML = `
+        <span class="key">${i + 1}</span>
+        <div class="icon">${card.icon}</div>
+        <div class="name">${card.name}</div>
+        <div class="desc">${card.desc}</div>`;
+      el.addEventListener('click', () => onClick ? onClick(i) : this.pickChoice(i));
+      row.appendChild(el);
+    });
+
+    this.perkPanel.style.display = 'flex';
+  }
+
+  /** resolves the open choice (perk or difficulty); ignored if nothing is being offered */
+  pickChoice(index) {
+    const choice = this._choice;
+    if (!choice || !choice.cards[index]) return;
+
+    this._choice = null;
+    this.perkPanel.style.display = 'none';
+    choice.onPick(choice.cards[index]);
+  }
   
 
+  /**
+   * Syncs the power-up icons with the running buffs; the ring around each icon
+   * empties as its timer runs down.
+   * @param {{id:string, icon:string, name:string, left:number, duration:number}[]} list
+   */
+  updatePowerUps(list) {
+    const seen = new Set();
+    for (const p of list) {
+      seen.add(p.id);
+      let el = this._powerUpIcons[p.id];
+      if (!el) {
+        el = document.createElement('div');
+        el.className = 'powerup';
+        el.title = p.name;
+        el.innerHTML = `<span class="icon">${p.icon}</span><span class="left"></span>`;
+        this.powerUpRow.appendChild(el);
+        this._powerUpIcons[p.id] = el;
+      }
+      el.style.setProperty('--pct', `${(p.left / p.duration) * 100}%`);
+      el.querySelector('.left').textContent = Math.ceil(p.left);
+    }
+    for (const id of Object.keys(this._powerUpIcons)) {
+      if (seen.has(id)) continue;
+      this._powerUpIcons[id].remove();
+      delete this._powerUpIcons[id];
+    }
+  }
+
+  /**
+   * Highlights the equipped weapon and prints "mag/reserve" under every gun;
+   * while reloading the equipped slot shows the progress instead.
+   * @param {WeaponSystem} weapons
+   */
+  updateWeaponHUD(weapons) {
+    this.weaponSlots.forEach((slot, i) => {
+      const id = weapons.slots[i];
+      const a  = weapons.ammo[id];
+      const active = i === weapons.index;
+      slot.classList.toggle('active', active);
+
+      let text = '';
+      if (a) {
+        text = active && weapons.reloading
+          ? `${Math.round(weapons.reloadProgress * 100)}%`
+          : `${a.mag}/${a.reserve === Infinity ? '∞' : a.reserve}`;
+      }
+      slot.classList.toggle('empty', !!a && a.mag === 0 && a.reserve === 0);
+      const ammo = slot.querySelector('.ammo');
+      if (ammo.textContent !== text) ammo.textContent = text;
+    });
+  }
+
   /**
    * @param {number} level         – 1,2,3…
    * @param {number} xpPct         – 0-100
@@ -616,6 +1020,16 @@ export class UI {
     this.levelBadge.style.setProperty('--p', xpPct);
   }
 
+  /** flash both level rings and pop a message over the player */
+  showLevelUp(level, worldPosition) {
+    for (const el of [this.levelRing, this.levelBadge]) {
+      el.classList.remove('level-up');
+      void el.offsetWidth;               // restart the CSS animation
+      el.classList.add('level-up');
+    }
+    if (worldPosition) this.showFloatingMessage(`⭐ Level ${level}!`, worldPosition);
+  }
+
 
   showFloatingMessage(text, worldPosition) {
     const message = document.createElement("div");
@@ -0,0 +1,130 @@
+/**
+ * Player weapons, defined as plain data.
+ * Firearms shoot regular Bullets, so damage still comes from kinetic energy
+ * (E = ½ m v², see Game's bullet loop). Each gun only picks its own numbers:
+ *
+ *   fireMode     – 'semi' one shot per click | 'auto' keeps firing while held
+ *   fireRate     – shots per second
+ *   magazine     – rounds per reload
+ *   reserve      – spare rounds carried at the start (Infinity = never runs dry)
+ *   reloadTime   – seconds
+ *   pellets      – bullets per shot (the shotgun fans them out)
+ *   spread       – max random yaw per pellet, radians
+ *   speed / mass – muzzle velocity and projectile mass
+ *   energyScale  – energy → damage factor, the default Bullet uses 0.02
+ */
+export const WEAPONS = {
+  knife: {
+    icon: '🔪', name: 'Knife', melee: true,
+  },
+  pistol: {
+    icon: '🔫', name: 'Pistol',
+    fireMode: 'semi', fireRate: 4, magazine: 12, reserve: Infinity, reloadTime: 1.1,
+    pellets: 1, spread: 0.02,
+    speed: 300, mass: 0.05, energyScale: 0.02,     // ≈ 45 per hit
+  },
+  shotgun: {
+    icon: '💥', name: 'Shotgun',
+    fireMode: 'semi', fireRate: 1.2, magazine: 6, reserve: 24, reloadTime: 2.2,
+    pellets: 8, spread: 0.22,
+    speed: 220, mass: 0.04, energyScale: 0.02,     // ≈ 19 per pellet, deadly up close
+  },
+  rifle: {
+    icon: '🎯', name: 'Rifle',
+    fireMode: 'auto', fireRate: 9, magazine: 30, reserve: 120, reloadTime: 1.8,
+    pellets: 1, spread: 0.04,
+    speed: 420, mass: 0.03, energyScale: 0.02,     // ≈ 53 per hit
+  },
+};
+
+/** slot order, slot i is bound to key 4 + i */
+export const WEAPON_SLOTS = ['knife', 'pistol', 'shotgun', 'rifle'];
+
+/**
+ * Ammo, cooldown and reload bookkeeping for the player's weapon slots.
+ * Knows nothing about THREE: Game asks `tryFire` every frame and spawns the
+ * bullets itself when it answers true.
+ */
+export class WeaponSystem {
+  constructor(slots = WEAPON_SLOTS) {
+    this.slots   = slots;
+    this.index   = 0;
+    this.cooldown = 0;        // seconds until the next shot is allowed
+    this.reloadTimer = 0;     // > 0 while reloading
+    this.ammo = {};           // id → { mag, reserve }
+    for (const id of slots) {
+      const w = WEAPONS[id];
+      if (!w.melee) this.ammo[id] = { mag: w.magazine, reserve: w.reserve };
+    }
+  }
+
+  get id()      { return this.slots[this.index]; }
+  get current() { return WEAPONS[this.id]; }
+  get reloading() { return this.reloadTimer > 0; }
+
+  /** 0‥1 progress of the running reload, 1 when idle */
+  get reloadProgress() {
+    return this.reloading ? 1 - this.reloadTimer / this.current.reloadTime : 1;
+  }
+
+  /** returns true if the slot changed; switching cancels a running reload */
+  select(index) {
+    if (index < 0 || index >= this.slots.length || index === this.index) return false;
+    this.index = index;
+    this.reloadTimer = 0;
+    this.cooldown = Math.max(this.cooldown, 0.15);   // short draw time
+    return true;
+  }
+
+  /** starts a reload if it makes sense; returns true if one started */
+  reload() {
+    const w = this.current;
+    const a = this.ammo[this.id];
+    if (w.melee || this.reloading || a.mag >= w.magazine || a.reserve <= 0) return false;
+    this.reloadTimer = w.reloadTime;
+    return true;
+  }
+
+  /** adds spare rounds to a gun (ammo pickups) */
+  addAmmo(id, rounds) {
+    const a = this.ammo[id];
+    if (a) a.reserve += rounds;
+  }
+
+  update(delta) {
+    this.cooldown = Math.max(0, this.cooldown - delta);
+    if (!this.reloading) return;
+
+    this.reloadTimer -= delta;
+    if (this.reloadTimer <= 0) {
+      this.reloadTimer = 0;
+      const w = this.current;
+      const a = this.ammo[this.id];
+      const take = Math.min(w.magazine - a.mag, a.reserve);
+      a.mag += take;
+      a.reserve -= take;
+    }
+  }
+
+  /**
+   * @param {boolean} pressed – trigger went down this frame
+   * @param {boolean} held    – trigger is down
+   * @returns {boolean} true if a shot leaves the barrel now (one round is spent)
+   */
+  tryFire(pressed, held) {
+    const w = this.current;
+    if (w.melee || this.reloading || this.cooldown > 0) return false;
+    if (!(w.fireMode === 'auto' ? held : pressed)) return false;
+
+    const a = this.ammo[this.id];
+    if (a.mag <= 0) {
+      this.reload();         // dry click starts the reload
+      return false;
+    }
+
+    a.mag--;
+    this.cooldown = 1 / w.fireRate;
+    if (a.mag === 0) this.reload();
+    return true;
+  }
+}
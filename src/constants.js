@@ -1,3 +1,6 @@
 import * as THREE from 'three';
 
-export const GRAVITY = new THREE.Vector3(0, -9.81, 0);   // m s⁻², negative Y
\ No newline at end of file
+export const GRAVITY = new THREE.Vector3(0, -9.81, 0);   // m s⁻², negative Y
+
+/* per-kill XP comes from the enemy archetype, then is scaled up a bit every wave */
+export const XP_WAVE_BONUS = 0.15;   // +15 % per wave after the first
@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+
+// Path-finding benchmark. Open the game with `?bench` in the URL: once the map
+// is built, Game loads this module and logs a table to the console comparing
+// GridPathFinder.findPath with the old Map + linear-scan A* (legacyFindPath
+// below) on the live grid, turrets included.
+//
+//   random    – start/goal pairs anywhere on the map
+//   horde     – many starts, one goal: a whole wave repathing to the player
+
+/** small seeded PRNG so two runs time the same pairs */
+function lcg(seed) {
+  let s = seed >>> 0;
+  return () => (s = (Math.imul(s, 1664525) + 1013904223) >>> 0) / 4294967296;
+}
+
+function randomWalkable(pf, random) {
+  for (;;) {
+    const cell = new THREE.Vector2(
+      Math.floor(random() * pf.sizeX),
+      Math.floor(random() * pf.sizeZ)
+    );
+    if (pf.get(cell.x, cell.y)) return pf.cellToWorld(cell);
+  }
+}
+
+function pathCost(path) {
+  let cost = 0;
+  for (let i = 1; i < path.length; i++) cost += path[i].distanceTo(path[i - 1]);
+  return cost;
+}
+
+function time(fn, pairs) {
+  const ms = [];
+  const costs = [];
+  for (const [a, b] of pairs) {
+    const t0 = performance.now();
+    const path = fn(a, b);
+    ms.push(performance.now() - t0);
+    costs.push(pathCost(path));
+  }
+  const total = ms.reduce((s, v) => s + v, 0);
+  return { total, mean: total / ms.length, max: Math.max(...ms), costs };
+}
+
+/**
+ * @param {import('../GridPathFinder.js').GridPathFinder} pathfinder
+ * @param {{pairs?:number, horde?:number, seed?:number, legacy?:boolean}} [opts]
+ *        legacy=false skips the old implementation (it takes seconds per run)
+ * @returns {object[]} the rows printed with console.table
+ */
+export function runPathBenchmark(pathfinder, { pairs = 40, horde = 40, seed = 1, legacy = true } = {}) {
+  const random = lcg(seed);
+  const suites = {
+    random: Array.from({ length: pairs }, () => [randomWalkable(pathfinder, random), randomWalkable(pathfinder, random)]),
+  };
+  const goal = randomWalkable(pathfinder, random);
+  suites.horde = Array.from({ length: horde }, () => [randomWalkable(pathfinder, random), goal]);
+
+  const rows = [];
+  for (const [name, list] of Object.entries(suites)) {
+    const heap = time((a, b) => pathfinder.findPath(a, b), list);
+    const row  = { suite: name, paths: list.length,
+                   'heap total ms': +heap.total.toFixed(1), 'heap mean ms': +heap.mean.toFixed(2), 'heap max ms': +heap.max.toFixed(2) };
+
+    if (legacy) {
+      const old = time((a, b) => legacyFindPath(pathfinder, a, b), list);
+      Object.assign(row, {
+        'legacy total ms': +old.total.toFixed(1), 'legacy mean ms': +old.mean.toFixed(2), 'legacy max ms': +old.max.toFixed(2),
+        speedup: +(old.total / heap.total).toFixed(1),
+        // equal-cost paths may differ in shape, the length must not
+        'same cost': heap.costs.every((c, i) => Math.abs(c - old.costs[i]) < 1e-3 * pathfinder.cell * (1 + c)),
+      });
+    }
+    rows.push(row);
+  }
+
+  console.log(`path benchmark: ${pathfinder.sizeX}×${pathfinder.sizeZ} cells, seed ${seed}`);
+  console.table(rows);
+  return rows;
+}
+
+/**
+ * The pre-heap findPath, kept only as the baseline: Map open set with "x,z"
+ * string keys, scanned linearly for the lowest f on every iteration.
+ */
+export function legacyFindPath(pf, startW, goalW) {
+  const start = pf.worldToCell(startW);
+  const goal  = pf.worldToCell(goalW);
+
+  if (!pf.get(goal.x, goal.y)) return [];
+
+  const open = new Map();
+  const came = new Map();
+  const g    = new Map();
+  const f    = new Map();
+
+  const neigh = [
+    [ 1,  0], [-1,  0],
+    [ 0,  1], [ 0, -1],
+    [ 1,  1], [-1,  1],
+    [ 1, -1], [-1, -1]
+  ];
+  const h = (a, b) => {
+    const dx = Math.abs(a.x - b.x);
+    const dz = Math.abs(a.y - b.y);
+    return (Math.SQRT2 - 1) * Math.min(dx, dz) + Math.max(dx, dz);
+  };
+  const key = (v) => `${v.x},${v.y}`;
+  const push = (v, gCost) => {
+    const k = key(v);
+    open.set(k, v);
+    g.set(k, gCost);
+    f.set(k, gCost + h(v, goal));
+  };
+
+  push(start, 0);
+
+  while (open.size) {
+    let current, cf = Infinity;
+    for (const [k, v] of open) {
+      const fv = f.get(k);
+      if (fv < cf) { cf = fv; current = v; }
+    }
+    const ck = key(current);
+
+    if (current.equals(goal)) {
+      const path = [];
+      let cur = ck;
+      while (cur) {
+        const [x, z] = cur.split(',').map(Number);
+        if (x === goal.x && z === goal.y) path.push(new THREE.Vector3(goalW.x, 0, goalW.z));
+        else path.push(pf.cellToWorld(new THREE.Vector2(x, z)));
+        cur = came.get(cur);
+      }
+      return path.reverse();
+    }
+
+    open.delete(ck);
+
+    for (const [dx, dz] of neigh) {
+      const nx = current.x + dx;
+      const nz = current.y + dz;
+      if (!pf.get(nx, nz)) continue;
+
+      const cost = (dx !== 0 && dz !== 0) ? Math.SQRT2 : 1;
+      const nk   = `${nx},${nz}`;
+      const ng   = g.get(ck) + cost;
+
+      if (!g.has(nk) || ng < g.get(nk)) {
+        came.set(nk, ck);
+        push(new THREE.Vector2(nx, nz), ng);
+      }
+    }
+  }
+  return [];
+}
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
 import { loadingMgr } from './LoadingMgr.js';
+import { rng } from './Random.js';
+
+const random = rng.stream('fx').next;   // seeded, apart from the gameplay streams
 
 /* ───────────────────────── shaders (unchanged) ───────────────────────── */
 const _VS = `uniform float pointMultiplier;
@@ -71,9 +74,9 @@ function getParticles(params){
                [1,new THREE.Color(0x000000)] ],
       size:[ [0,0.4],[1,2] ],
       velocity:()=>new THREE.Vector3(
-                    (Math.random()-0.5)*0.2,
-                    0.6+Math.random()*0.4,
-                    (Math.random()-0.5)*0.2)
+                    (random()-0.5)*0.2,
+                    0.6+random()*0.4,
+                    (random()-0.5)*0.2)
     },
     aura :{
         tex : texture ?? 'src/img/circle.png',
@@ -87,9 +90,9 @@ function getParticles(params){
         velocity : function (dir){
             const v = this.maxVelocity;
             return new THREE.Vector3(
-                (Math.random()*2-1)*v,
-                (Math.random()*2-1)*v,
-                (Math.random()*2-1)*v
+                (random()*2-1)*v,
+                (random()*2-1)*v,
+                (random()*2-1)*v
             );
         }
     }
@@ -157,25 +160,25 @@ function getParticles(params){
 
     for(let i=0;i<n;i++){
       
-      const life = (Math.random()*0.75+0.25)*PRESET.maxLife;
+      const life = (random()*0.75+0.25)*PRESET.maxLife;
 
       // initialize pos and dir
       let pos, dir;
 
       if (mode === "fire") {
-        dir=new THREE.Vector3(Math.random()*2-1,0,Math.random()*2-1).normalize();
+        dir=new THREE.Vector3(random()*2-1,0,random()*2-1).normalize();
         pos=new THREE.Vector3().copy(dir)
-                    .multiplyScalar(PRESET.radius*(0.3+0.7*Math.random()));
-        pos.y += (Math.random()-0.5)*0.4;
+                    .multiplyScalar(PRESET.radius*(0.3+0.7*random()));
+        pos.y += (random()-0.5)*0.4;
         pos.add(emitter.position);
       }
 
       else if (mode === "aura") {
         // ───── NEW: pick a random point inside the cylinder ───────────────
         pos = new THREE.Vector3(
-            (Math.random()*2 - 1) * bodyRadius,          // x ∈ [-R, R]
-            (Math.random()      ) * bodyHeight - bodyHeight * 0.5, // y ∈ [-H/2, H/2]
-            (Math.random()*2 - 1) * bodyRadius           // z ∈ [-R, R]
+            (random()*2 - 1) * bodyRadius,          // x ∈ [-R, R]
+            (random()      ) * bodyHeight - bodyHeight * 0.5, // y ∈ [-H/2, H/2]
+            (random()*2 - 1) * bodyRadius           // z ∈ [-R, R]
         );
 
         // move from local to world space (anchor is at chest-height)
@@ -188,13 +191,13 @@ function getParticles(params){
 
       pool.push({
         position:pos, 
-        size:(Math.random()*0.5+0.5)*PRESET.maxSize,
+        size:(random()*0.5+0.5)*PRESET.maxSize,
         colour:new THREE.Color(), 
         alpha:1.0, 
         life, 
         maxLife:life,
-        rotation:Math.random()*Math.PI*2, 
-        rotationRate:Math.random()*0.01-0.005,
+        rotation:random()*Math.PI*2, 
+        rotationRate:random()*0.01-0.005,
         velocity:(mode==="fire")?PRESET.velocity()
                 :(mode==="aura")?PRESET.velocity(dir):PRESET.velocity()
       });
@@ -248,7 +251,11 @@ function getParticles(params){
   function update(dt){
     addParticles(dt);  updateParticles(dt);  upload();
   }
-  return { update, setColourStops };
+  /* drops every live particle, so a recycled emitter starts out empty */
+  function reset(){
+    pool=[]; acc=0; upload();
+  }
+  return { update, setColourStops, reset };
 }
 
 export { getParticles };
@@ -0,0 +1,208 @@
+import * as THREE from 'three';
+import { SimTurret } from './SimTurret.js';
+import { Simulation } from './Simulation.js';
+import { Potion } from '../Potion.js';
+
+/**
+ * A scripted player for soak and balance runs. It drives a Simulation the
+ * way a person would – WASD and the mouse button in `sim.input`, everything
+ * else through `sim.execute` commands – so it only ever does what the real
+ * controls allow:
+ *
+ *   - knife   : goes out to meet the closest enemy and swings once it is in reach
+ *   - kiting  : backs off from the crowd when swarmed or low on health
+ *   - turrets : a few around the home spot (isTurretPlacementValid), not so
+ *               many that they do all the killing and the bot never gets hit
+ *   - molotov : throws one onto the densest cluster in range
+ *   - potion  : drinks one when it just got hurt with enemies close, or is swarmed
+ *   - perks   : takes the first offered one in PERK_PREFERENCE
+ *
+ * It uses no randomness, so a seeded run with the bot is reproducible.
+ */
+export class Bot {
+  static THINK_EVERY   = 0.25;  // seconds between two command decisions
+  static KNIFE_REACH   = 7;     // swing when the closest enemy is this near (knife reaches 10)
+  static ENGAGE_RANGE  = 90;    // chase enemies closer than this, otherwise go home
+  static LEASH         = 80;    // metres the bot strays from home at most
+  static SWARM_RADIUS  = 10;    // enemies this close count as "on top of me"
+  static SWARMED       = 3;     // … and this many of them are too many (crowd separation spreads them)
+  static FLEE_HEALTH   = 35;    // kite instead of fighting below this health
+
+  static TURRET_RINGS  = [8, 14];   // home distances the turrets go at
+  static MAX_TURRETS   = 3;     // turrets reach 70 m: more and they kill everything first
+  static MANA_RESERVE  = 20;    // left over after a turret, for a potion or molotov soon
+
+  static MOLOTOV_RANGE   = 40;  // throwing distance from the player
+  static MOLOTOV_CLUSTER = 20;  // radius a cluster is counted in (the fire burns 30 m wide)
+  static MOLOTOV_MIN     = 3;   // enemies worth a molotov
+
+  static PERK_PREFERENCE = [
+    'knife-speed', 'knife-damage', 'turret-rate', 'mana-regen', 'max-mana', 'move-speed', 'molotov-radius'
+  ];
+
+  /**
+   * @param {Simulation} sim
+   * @param {{home?:THREE.Vector3}} [opts] – where the bot holds its ground
+   */
+  constructor(sim, { home = new THREE.Vector3() } = {}) {
+    this.sim  = sim;
+    this.home = home.clone().setY(0);
+    this.thinkTimer = 0;
+    this.lastHealth = sim.player.health;   // at the previous decision, to notice hits
+    this._near = [];    // reused by the index queries
+  }
+
+  /** call before every sim.step: sets this step's input, maybe issues a command */
+  update(delta) {
+    const { sim } = this;
+    if (sim.isGameOver) return;
+
+    if (sim.perkOffer) this.choosePerk();
+
+    const enemies  = sim.enemySpawner.enemies;
+    const pos      = sim.player.mesh.position;
+    const closest  = this.closestEnemy(enemies, pos);
+    const distance = closest ? horizontalDistance(closest.mesh.position, pos) : Infinity;
+    const swarm    = sim.enemySpawner.enemiesInRadius(pos, Bot.SWARM_RADIUS, this._near).length;
+
+    this.move(this.heading(closest, distance, swarm));
+    sim.input['MouseLeft'] = distance < Bot.KNIFE_REACH;
+
+    this.thinkTimer -= delta;
+    if (this.thinkTimer > 0) return;
+    this.thinkTimer = Bot.THINK_EVERY;
+
+    // one command per decision, the most urgent first
+    const health   = sim.player.health;
+    const hurt     = health < this.lastHealth || health < Bot.FLEE_HEALTH;
+    const cornered = swarm >= Bot.SWARMED || (hurt && distance < Bot.SWARM_RADIUS);
+    this.lastHealth = health;
+    if (cornered && this.drinkPotion()) return;
+    if (this.throwMolotov(enemies)) return;
+    this.placeTurret();
+  }
+
+  /* ───── movement ──────────────────────────────────────────────── */
+
+  /** where to go this step (XZ direction, may be zero) */
+  heading(closest, distance, swarm) {
+    const pos  = this.sim.player.mesh.position;
+    const dir  = new THREE.Vector3();
+    const toHome = this.home.clone().sub(pos).setY(0);
+
+    if (closest && (swarm >= Bot.SWARMED || this.sim.player.health < Bot.FLEE_HEALTH)
+        && distance < Bot.ENGAGE_RANGE) {
+      // away from the crowd, bent back toward home once we strayed too far
+      for (const e of this.sim.enemySpawner.enemiesInRadius(pos, Bot.ENGAGE_RANGE, this._near)) {
+        const away = pos.clone().sub(e.mesh.position).setY(0);
+        dir.addScaledVector(away, 1 / Math.max(away.lengthSq(), 1));
+      }
+      dir.normalize();
+      if (toHome.length() > Bot.LEASH) dir.add(toHome.normalize());
+      return dir;
+    }
+    if (closest && distance < Bot.ENGAGE_RANGE) {
+      // close in, but stop once the knife reaches
+      if (distance > Bot.KNIFE_REACH * 0.6) dir.copy(closest.mesh.position).sub(pos).setY(0);
+      return dir;
+    }
+    if (toHome.length() > 2) dir.copy(toHome);
+    return dir;
+  }
+
+  /**
+   * Presses the WASD keys closest to `dir`: SimPlayer moves relative to the
+   * camera, so the key directions turn with sim.cameraAngle.
+   */
+  move(dir) {
+    const { input, cameraAngle } = this.sim;
+    const forward = new THREE.Vector3(-Math.cos(cameraAngle), 0, -Math.sin(cameraAngle));
+    const right   = new THREE.Vector3(Math.sin(cameraAngle), 0, -Math.cos(cameraAngle));
+
+    const d = dir.lengthSq() > 0 ? dir.clone().normalize() : dir;
+    const f = d.dot(forward), r = d.dot(right);
+    const press = Math.cos(THREE.MathUtils.degToRad(67.5));   // 8 directions, 45° apart
+
+    input['KeyW'] = f >  press;
+    input['KeyS'] = f < -press;
+    input['KeyD'] = r >  press;
+    input['KeyA'] = r < -press;
+  }
+
+  closestEnemy(enemies, pos) {
+    let best = null, bestSq = Infinity;
+    for (const e of enemies) {
+      const dSq = horizontalDistanceSq(e.mesh.position, pos);
+      if (dSq < bestSq) { best = e; bestSq = dSq; }
+    }
+    return best;
+  }
+
+  /* ───── commands ──────────────────────────────────────────────── */
+
+  choosePerk() {
+    const offer = this.sim.perkOffer;
+    const rank  = (perk) => {
+      const i = Bot.PERK_PREFERENCE.indexOf(perk.id);
+      return i === -1 ? Infinity : i;
+    };
+    let best = 0;
+    offer.forEach((perk, i) => { if (rank(perk) < rank(offer[best])) best = i; });
+    this.sim.execute({ type: 'perk', index: best });
+  }
+
+  drinkPotion() {
+    const { sim } = this;
+    if (sim.potionActive || sim.potionTokens <= 0 || sim.player.mana < Potion.COST_MANA) return false;
+    sim.execute({ type: 'potion' });
+    return true;
+  }
+
+  /** onto the enemy with the most others around it, if that is enough of them */
+  throwMolotov(enemies) {
+    const { sim } = this;
+    if (sim.molotovs.length || sim.molotovTokens <= 0 || sim.player.mana < Simulation.MOLOTOV_COST) return false;
+
+    const pos = sim.player.mesh.position;
+    let target = null, most = Bot.MOLOTOV_MIN - 1;
+    for (const e of enemies) {
+      if (horizontalDistance(e.mesh.position, pos) > Bot.MOLOTOV_RANGE) continue;
+      const count = sim.enemySpawner.enemiesInRadius(e.mesh.position, Bot.MOLOTOV_CLUSTER, this._near).length;
+      if (count > most) { target = e; most = count; }
+    }
+    if (!target) return false;
+
+    const { x, z } = target.mesh.position;
+    sim.execute({ type: 'molotov', x, z });
+    return true;
+  }
+
+  /** the first free spot on the rings around home */
+  placeTurret() {
+    const { sim } = this;
+    if (sim.turretTokens <= 0 || sim.player.mana < SimTurret.COST + Bot.MANA_RESERVE) return false;
+    if (sim.turrets.filter(t => t.alive).length >= Bot.MAX_TURRETS) return false;
+
+    for (const radius of Bot.TURRET_RINGS) {
+      for (let i = 0; i < 8; i++) {
+        const a   = (i / 8) * Math.PI * 2;
+        const pos = new THREE.Vector3(
+          this.home.x + Math.cos(a) * radius, 0, this.home.z + Math.sin(a) * radius);
+        if (!sim.isTurretPlacementValid(pos)) continue;
+
+        sim.execute({ type: 'turret', x: pos.x, z: pos.z });
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+function horizontalDistanceSq(a, b) {
+  const dx = a.x - b.x, dz = a.z - b.z;
+  return dx * dx + dz * dz;
+}
+
+function horizontalDistance(a, b) {
+  return Math.sqrt(horizontalDistanceSq(a, b));
+}
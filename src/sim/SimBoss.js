@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+import { SimEnemy } from './SimEnemy.js';
+
+/**
+ * Boss spawned every Nth wave (see SimSpawner.bossEvery).
+ * Walks and bites like any Enemy, but on a timer it interrupts the chase with
+ * one of its abilities. Which abilities are in the rotation depends on the
+ * phase, and the phase drops as its health does:
+ *
+ *   phase 1 (> 66 %) : charge, ground slam
+ *   phase 2 (> 33 %) : charge, ground slam, summon adds
+ *   phase 3          : same rotation, shorter cooldowns, faster walk
+ *
+ * Knockback never applies (archetype.knockbackImmune), so it can't be juggled.
+ * Boss (src/Boss.js) adds the model and draws the slam telegraph.
+ */
+export class SimBoss extends SimEnemy {
+  static ABILITY_COOLDOWN = 6;     // seconds of plain chasing between abilities
+  static CHARGE_WINDUP    = 0.8;   // stands still, then dashes
+  static CHARGE_TIME      = 1.2;
+  static CHARGE_SPEED     = 90;    // m/s during the dash
+  static CHARGE_DAMAGE    = 25;
+  static SLAM_WINDUP      = 1.0;   // telegraph ring grows meanwhile
+  static SLAM_RADIUS      = 20;
+  static SLAM_DAMAGE      = 40;    // at the centre, linear fall-off to the edge
+  static SUMMON_COUNT     = 4;
+  static SUMMON_TYPE      = 'runner';
+
+  constructor(player, staticColliders, pathfinder, spawner, scaling = {}) {
+    super(player, staticColliders, pathfinder, 'boss', { ...scaling, elite: false });
+    this.isBoss  = true;
+    this.name    = this.archetype.name;
+    this.spawner = spawner;
+
+    this.phase    = 1;
+    this.state    = 'chase';             // chase | charge-windup | charge | slam-windup
+    this.stateTime = 0;
+    this.abilityTimer = SimBoss.ABILITY_COOLDOWN;
+    this.abilityIndex = 0;
+
+    this.chargeDir = new THREE.Vector3();
+    this.chargeHit = false;
+    this.baseSpeed = this.speed;
+  }
+
+  get abilities() {
+    return this.phase === 1 ? ['charge', 'slam'] : ['charge', 'slam', 'summon'];
+  }
+
+  updatePhase() {
+    const pct   = this.health / this.maxHealth;
+    const phase = pct > 0.66 ? 1 : pct > 0.33 ? 2 : 3;
+    if (phase === this.phase) return;
+
+    this.phase = phase;
+    if (phase === 3) this.speed = this.baseSpeed * 1.3;
+    this.player.game?.announce(`${this.name} enrages! (phase ${phase})`, 2);
+  }
+
+  setState(state) {
+    this.state = state;
+    this.stateTime = 0;
+    // the boss only follows its path while chasing or walking into a slam
+    this.pathingPaused = state === 'charge-windup' || state === 'charge';
+  }
+
+  startNextAbility() {
+    const list = this.abilities;
+    const ability = list[this.abilityIndex % list.length];
+    this.abilityIndex++;
+
+    switch (ability) {
+      case 'charge':
+        this.setState('charge-windup');
+        break;
+      case 'slam':
+        this.setState('slam-windup');
+        this.showSlamRing();
+        break;
+      case 'summon':
+        this.summonAdds();
+        break;
+    }
+  }
+
+  runAbility(delta) {
+    this.stateTime += delta;
+    const playerPos = this.player.mesh.position;
+
+    switch (this.state) {
+
+      case 'chase': {
+        this.abilityTimer -= delta;
+        if (this.abilityTimer <= 0) {
+          this.abilityTimer = SimBoss.ABILITY_COOLDOWN * (this.phase === 3 ? 0.6 : 1);
+          this.startNextAbility();
+        }
+        break;
+      }
+
+      case 'charge-windup': {
+        this.velocity.set(0, 0, 0);
+        if (this.stateTime >= SimBoss.CHARGE_WINDUP) {
+          // lock the direction now: the player can still side-step the dash
+          this.chargeDir.copy(playerPos).sub(this.mesh.position).setY(0).normalize();
+          this.mesh.lookAt(this.mesh.position.clone().add(this.chargeDir));
+          this.chargeHit = false;
+          this.setState('charge');
+        }
+        break;
+      }
+
+      case 'charge': {
+        this.velocity.copy(this.chargeDir).multiplyScalar(SimBoss.CHARGE_SPEED);
+
+        const contact = this.radius + 5;
+        if (!this.chargeHit && this.mesh.position.distanceTo(playerPos) < contact) {
+          this.player.game.damagePlayer(Math.round(SimBoss.CHARGE_DAMAGE * this.scaling.damage), 'boss-charge', 0);
+          this.chargeHit = true;
+        }
+        if (this.stateTime >= SimBoss.CHARGE_TIME) {
+          this.velocity.multiplyScalar(0.2);
+          this.setState('chase');
+        }
+        break;
+      }
+
+      case 'slam-windup': {
+        this.updateSlamRing(Math.min(1, this.stateTime / SimBoss.SLAM_WINDUP));
+        if (this.stateTime >= SimBoss.SLAM_WINDUP) {
+          this.slam();
+          this.setState('chase');
+        }
+        break;
+      }
+    }
+  }
+
+  slam() {
+    this.hideSlamRing();
+
+    const d = this.mesh.position.distanceTo(this.player.mesh.position);
+    if (d < SimBoss.SLAM_RADIUS) {
+      const dmg = Math.round(SimBoss.SLAM_DAMAGE * this.scaling.damage * (1 - d / SimBoss.SLAM_RADIUS));
+      if (dmg > 0) this.player.game.damagePlayer(dmg, 'boss-slam', 0);
+    }
+    this.player.game?.notify("💥 SLAM", this.mesh.position.clone());
+  }
+
+  summonAdds() {
+    for (let i = 0; i < SimBoss.SUMMON_COUNT; i++) {
+      const a   = (i / SimBoss.SUMMON_COUNT) * Math.PI * 2;
+      const pos = this.mesh.position.clone()
+                    .add(new THREE.Vector3(Math.cos(a), 0, Math.sin(a)).multiplyScalar(8))
+                    .setY(0);
+      this.spawner.spawnEnemy(SimBoss.SUMMON_TYPE, pos);
+    }
+    this.player.game?.notify("☠ Rise!", this.mesh.position.clone());
+  }
+
+  /* ── slam telegraph, drawn by Boss ── */
+  showSlamRing() {}
+  /** @param {number} t – 0‥1 of the wind-up */
+  updateSlamRing(t) {}
+  hideSlamRing() {}
+
+  /** called by SimSpawner.removeEnemy so a half-finished telegraph doesn't linger */
+  dispose() {
+    this.hideSlamRing();
+    super.dispose();
+  }
+
+  update(delta) {
+    if (!this.player.mesh) return;
+    this.updatePhase();
+    this.runAbility(delta);
+    super.update(delta);
+  }
+}
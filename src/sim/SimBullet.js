@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+import { GRAVITY } from '../constants.js';
+import { Pool }    from '../Pool.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * A projectile as the simulation sees it: ballistic flight, who fired it and
+ * what it does on a hit. `mesh` is a bare transform; Bullet adds the laser
+ * core, glow and trail.
+ *
+ * Get bullets from `acquire()` and hand them back with `recycle()` once they
+ * are off the books; every subclass keeps its own pool.
+ */
+export class SimBullet {
+  static pool = new Pool({
+    create : (...args) => new SimBullet().init(...args),
+    reset  : (bullet, ...args) => bullet.init(...args),
+    release: (bullet) => bullet.dispose(),
+    max    : 256
+  });
+
+  /** a (possibly recycled) bullet, fired with `args` (see init) */
+  static acquire(...args) {
+    return this.pool.acquire(...args);
+  }
+
+  constructor() {
+    this.velocity = new THREE.Vector3();
+    this.origin   = new THREE.Vector3();
+    this.mesh     = new THREE.Group();
+    this.alive    = false;
+  }
+
+  /** (re)fires this bullet: all per-shot state lives here; returns this */
+  init(pos, dir, {
+    speed        = 300, // this will influence the damage
+    mass         = 0.05,
+    heightOffset = 0,
+    source       = 'bullet', // who fired it, used for kill attribution
+    hostile      = false,    // enemy projectile: hits the player, not enemies
+    damage,                  // flat damage, otherwise kinetic energy decides
+    energyScale  = 0.02,     // energy → damage factor, each weapon sets its own
+    radius       = 5.35,
+  } = {}) {
+
+    /*―― basic physics ――*/
+    this.source   = source;
+    this.hostile  = hostile;
+    this.damage   = damage;
+    this.energyScale = energyScale;
+    this.mass     = mass;
+    this.velocity.copy(dir).setLength(speed);
+    this.radius   = radius;
+    this.alive    = true;
+    this.origin.copy(pos);   // culling is based on distance travelled
+
+    // this.dragCoefficient = 0.8; // air drag coefficient
+
+    /*―― placement ――*/
+    this.mesh.position
+        .copy(pos)
+        .addScaledVector(UP, heightOffset);
+    return this;
+  }
+
+  update(dt) {
+    if (!this.alive) return;
+
+    // apply gravity
+    this.velocity.addScaledVector(GRAVITY, dt);
+
+    // // Apply air drag
+    // this.velocity.multiplyScalar(Math.exp(-this.dragCoefficient * dt));
+
+    // integrate position
+    this.mesh.position.addScaledVector(this.velocity, dt);
+
+    if (this.mesh.position.distanceToSquared(this.origin) > 40000) {
+      this.dispose();
+    }
+  }
+
+  dispose() {
+    this.alive = false;
+  }
+
+  /** disposes and parks this bullet for the next acquire(); drop every reference to it */
+  recycle() {
+    this.constructor.pool.release(this);
+  }
+}
@@ -0,0 +1,442 @@
+import * as THREE from 'three';
+import { ARCHETYPES } from '../EnemyArchetypes.js';
+import { ELITE } from '../Difficulty.js';
+import { rng } from '../Random.js';
+
+const random = rng.stream('ai');   // retarget / repath jitter
+
+/**
+ * An enemy as the simulation sees it: stats, pathing, crowd steering,
+ * targeting and the attack clock. `mesh` is a bare transform; Enemy (and
+ * Boss) put the model, animations and health bar on top of it.
+ */
+export class SimEnemy {
+  static RETARGET_EVERY = 0.5;   // seconds between two target checks
+  static PATH_BLOCK_DIST = 4;    // a turret this close to the path is "in the way"
+  static PATH_LOOKAHEAD  = 6;    // waypoints checked for blocking turrets
+  static WAYPOINT_REACHED = 2;   // metres; smoothed paths sample about one point per cell
+
+  // crowd steering (see steer); weights are relative to the path direction
+  static STEER_SEEK       = 1;
+  static STEER_SEPARATION = 1.5;
+  static STEER_AVOID      = 0.6;
+  static CROWD_REACH      = 3;     // ≥ the largest personalSpace of a neighbour
+  static AVOID_LOOKAHEAD  = 4;     // metres
+
+  /**
+   * @param {string} type    – key of ARCHETYPES ('zombie', 'runner', 'tank' …)
+   * @param {{health?:number, speed?:number, damage?:number, elite?:boolean}} [scaling]
+   *        – this wave's difficulty multipliers (see Difficulty.waveDifficulty)
+   */
+  constructor(player, staticColliders, pathfinder, type = 'zombie', scaling = {}) {
+    const def = ARCHETYPES[type] ?? ARCHETYPES.zombie;
+    const { elite = false } = scaling;
+    const e = (k) => elite ? ELITE[k] : 1;
+
+    this.player = player;
+    this.staticColliders = staticColliders;
+    this.pathfinder = pathfinder;
+    this.type       = type;
+    this.archetype  = def;
+    this.pathToken  = 0;    // id of the latest async path request
+    this.elite      = elite;
+    this.scale      = def.scale * e('scale');
+    this.mass = def.mass;
+    this.velocity  = new THREE.Vector3(); // will hold knock-back & sliding
+    this.radius = def.radius;
+    this.personalSpace = def.personalSpace * e('scale');
+    this._neighbours   = [];                  // reused by separation()
+    this.minimapColour = def.minimap;
+    this.xp = def.xp * e('xp');               // base XP, the Simulation adds the wave bonus
+
+    // attack behaviour, resolved by Simulation.resolveEnemyAttack
+    this.attack       = def.attack;
+    this.attackRange  = def.attackRange;
+    this.holdDistance = def.holdDistance ?? 0;  // ranged enemies stop short
+
+    // melee hits land once per loop of the attack clip; the clock runs at the
+    // clip's speed whether or not a model plays it (Enemy fits the animation to it)
+    const [attackStart, attackEnd] = def.clips.attack;
+    this.attackClipLength = attackEnd - attackStart;
+
+    this.mesh = new THREE.Group();   // position + facing; the view adds the model
+
+    this.reset(scaling);
+  }
+
+  /**
+   * Everything that belongs to one life: wave-scaled stats, path, target,
+   * attack state. The constructor starts the first life with it, and
+   * EnemySpawner calls it again when it takes this enemy back out of its
+   * pool; type and elite never change.
+   */
+  reset(scaling = {}) {
+    const def = this.archetype;
+    const { health = 1, speed = 1, damage = 1 } = scaling;
+    const e = (k) => this.elite ? ELITE[k] : 1;
+
+    this.removed    = false;
+    this.path       = [];   // world-space way-points (smoothed)
+    this.rawPath    = [];   // the same route before smoothing, cell centres
+    this.nextWP     = 0;    // index in the path
+    this.pathToken++;       // answers to the previous life's requests are stale
+    this.scaling    = { health, speed, damage };
+    this.maxHealth = Math.round(def.health * health * e('health'));
+    this.health = this.maxHealth;
+    this.speed = def.speed * speed * e('speed');
+    this.velocity.set(0, 0, 0);
+
+    this.damage       = def.damage * damage * e('damage');
+    this.attackTimer  = 0;                      // cooldown for ranged attacks
+    this.pathingPaused = false;                 // set by Boss while winding up / charging
+
+    // what it is after: null = the player, otherwise a Turret (see chooseTarget)
+    this.target        = null;
+    this.retargetTimer = random.float(0, SimEnemy.RETARGET_EVERY);
+    this.flowCell      = -1;   // cell the flow-field path was last read from
+    this.flowVersion   = -1;   //   and the field's version then
+    this.goal          = null; // where the last A* path was asked to go
+    this.repathTimer   = 0;    // seconds until the A* path is refreshed
+
+    this.isAttacking = false; // flag to track attack state
+    this.hasDamaged = false;  // flag to track if damage was applied in current cycle
+    this.attackClock = 0;     // seconds into the attack clip, wraps every loop
+    this.lastAttackCycleTime = 0; // store last attack clock for detecting a new loop
+  }
+
+  /** parked in the spawner's pool until reset() */
+  sleep() {}
+
+  /** for an enemy that will not be reused */
+  dispose() {}
+
+  /** world position of the current target */
+  get targetPos() {
+    return this.target ? this.target.object.position : this.player.mesh.position;
+  }
+
+  /** gap to the target's surface, so a wide turret is hit from its edge */
+  targetDistance() {
+    return this.mesh.position.distanceTo(this.targetPos) - (this.target?.radius ?? 0);
+  }
+
+  /**
+   * Goes for the nearest turret when it is closer than the player, or when
+   * one sits on the next stretch of the path; otherwise back to the player.
+   */
+  chooseTarget(delta) {
+    if (this.target && !this.target.alive) this.target = null;   // destroyed / sold
+
+    this.retargetTimer -= delta;
+    if (this.retargetTimer > 0) return;
+    this.retargetTimer = SimEnemy.RETARGET_EVERY * random.float(0.8, 1.2);
+
+    const turrets = (this.player.game?.turrets ?? []).filter(t => t.alive);
+    const pos = this.mesh.position;
+
+    let next = null;
+    let best = pos.distanceTo(this.player.mesh.position);
+    for (const t of turrets) {
+      const d = pos.distanceTo(t.object.position);
+      if (d < best) { next = t; best = d; }
+    }
+
+    if (!next) next = this.turretOnPath(turrets);
+
+    if (next !== this.target) {
+      this.target = next;
+      this.repathTimer = 0;   // new goal → new path right away
+      this.flowCell    = -1;  //   (A* or flow field alike)
+    }
+  }
+
+  /** first turret sitting on the next few waypoints, or null */
+  turretOnPath(turrets) {
+    const end = Math.min(this.path.length, this.nextWP + SimEnemy.PATH_LOOKAHEAD);
+    const blockSq = SimEnemy.PATH_BLOCK_DIST ** 2;
+    for (let i = this.nextWP; i < end; i++) {
+      const t = turrets.find(t => this.path[i].distanceToSquared(t.object.position) < blockSq);
+      if (t) return t;
+    }
+    return null;
+  }
+
+  /**
+   * Chasing the player: reads the next way-points off the shared flow field
+   * (GridPathFinder.updateFlowField, rebuilt every step) whenever this enemy
+   * enters another cell or the field changes. Returns false when the field
+   * can't help (no field, off the grid, walled in) so the caller uses A*.
+   */
+  followFlowField(targetPos) {
+    const pf   = this.pathfinder;
+    const cell = pf.cellIndex(this.mesh.position);
+    if (cell < 0 || !pf.hasFlowField || pf.flowCost[cell] === Infinity) return false;
+    if (cell === this.flowCell && pf.flowVersion === this.flowVersion) return true;
+
+    this.pathToken++;   // an A* answer still on its way is stale now
+    const path = pf.flowPath(this.mesh.position, SimEnemy.PATH_LOOKAHEAD);
+    if (path.length < SimEnemy.PATH_LOOKAHEAD) path.push(targetPos);   // goal cell in reach: finish on the player
+    this.setPath(path);
+    this.flowCell    = cell;
+    this.flowVersion = pf.flowVersion;
+    return true;
+  }
+
+  /**
+   * Asks Game's PathService for a fresh A* path. The current path is kept
+   * until the answer arrives (a frame or so later); answers to requests
+   * made before the latest one are dropped. Headless runs have no service
+   * and search right away.
+   */
+  requestPath(targetPos) {
+    const token   = ++this.pathToken;
+    const receive = (path) => {
+      if (token === this.pathToken) this.setPath(path);
+    };
+
+    const service = this.player.game?.pathService;
+    if (service) service.request(this.mesh.position, targetPos, receive);
+    else         receive(this.pathfinder.findPath(this.mesh.position, targetPos));
+  }
+
+  /** keeps the raw route (debug drawing) and walks its smoothed version */
+  setPath(raw) {
+    this.rawPath = raw;
+    this.path    = this.pathfinder.smoothPath(raw, this.mesh.position);
+    this.nextWP  = 0;
+  }
+
+  pathfinding_logic(delta) {
+    
+    this.repathTimer = (this.repathTimer ?? 0) - delta;
+    const targetPos  = this.targetPos;
+
+    // the player is shared by the whole horde → flow field; turrets → own A*
+    if (!this.target && this.followFlowField(targetPos)) {
+      this.goal = null;
+    }
+    // refresh the path every 1-2 s, or when the target moved a lot
+    else if (this.repathTimer <= 0 || targetPos.distanceToSquared(this.goal ?? new THREE.Vector3()) > 25) {
+      this.requestPath(targetPos);
+      this.goal = targetPos.clone();
+
+      // repath timer based on distance to target
+      // the farther the player, the less sensitive the path needs to be to small movements
+      const distSq = targetPos.distanceToSquared(this.goal ?? new THREE.Vector3());
+      const baseTime = 5.0;
+      const distFactor = THREE.MathUtils.clamp(distSq / 100, 0.5, 2.0);
+      // random value between 0.8 and 1.2, creating a random "jitter" to
+      // avoid all enemies to recalculate at the exact same time
+      this.repathTimer = baseTime * distFactor * random.float(0.8, 1.2);
+    }
+
+    // path direction this frame, stays zero while waiting / holding
+    const seek = new THREE.Vector3();
+
+    // get current waypoint
+    if (this.nextWP < this.path.length) {
+      const wp = this.path[this.nextWP];
+
+      
+      // 2. steer toward it
+      const dir = wp.clone().sub(this.mesh.position);
+      const dist = dir.length();
+
+      dir.y = 0; // flatten
+      // dir.normalize();
+
+      // smooth look at the waypoint
+      // using lookAt will cause to have a hard snap-look
+      // that looks bad
+      this.smooth_look_at(dir.clone().normalize(), dist, delta);
+
+      // ranged archetypes hold their ground once the player is close enough
+      const holding = this.holdDistance > 0 &&
+        this.mesh.position.distanceTo(targetPos) < this.holdDistance;
+
+      if (dist < SimEnemy.WAYPOINT_REACHED) { // close enough, let's start moving to the next one
+        this.nextWP++;
+      } else if (!holding) {
+        seek.copy(dir).normalize();
+      }
+    }
+
+    this.steer(seek, delta);
+  }
+
+  /**
+   * Crowd steering. The path direction (alignment) is blended with
+   * separation from nearby enemies and a look-ahead that turns away from
+   * walls, then applied as acceleration. Separation also runs while standing,
+   * so a pack waiting at the player fans out around them.
+   */
+  steer(seek, delta) {
+    const force = seek.clone().multiplyScalar(SimEnemy.STEER_SEEK)
+      .add(this.separation())
+      .add(this.avoidance(seek));
+    if (force.lengthSq() > 1) force.normalize();
+
+    // Euler integration of acceleration
+    this.velocity.addScaledVector(force, this.speed * delta);
+  }
+
+  /** push away from every enemy inside the combined personal spaces */
+  separation() {
+    const push  = new THREE.Vector3();
+    const spawner = this.player.game?.enemySpawner;
+    if (!spawner) return push;
+
+    const pos = this.mesh.position;
+    spawner.enemiesInRadius(pos, this.personalSpace + SimEnemy.CROWD_REACH, this._neighbours);
+    for (const other of this._neighbours) {
+      if (other === this) continue;
+      const dx = pos.x - other.mesh.position.x;
+      const dz = pos.z - other.mesh.position.z;
+      const d  = Math.hypot(dx, dz);
+      const min = this.personalSpace + other.personalSpace;
+      if (d >= min) continue;
+
+      // heavier neighbours shove harder (a tank parts a crowd of zombies)
+      const weight = (1 - d / min) * 2 * other.mass / (this.mass + other.mass);
+      if (d < 1e-4) {
+        const a = random.angle();   // exactly stacked: any way out
+        push.x += Math.cos(a) * weight;
+        push.z += Math.sin(a) * weight;
+      } else {
+        push.x += dx / d * weight;
+        push.z += dz / d * weight;
+      }
+    }
+    return push.multiplyScalar(SimEnemy.STEER_SEPARATION);
+  }
+
+  /**
+   * Looks AVOID_LOOKAHEAD metres ahead on the path grid; if that line hits a
+   * blocked cell, steers to whichever side is free.
+   */
+  avoidance(seek) {
+    const steer = new THREE.Vector3();
+    const pf = this.pathfinder;
+    if (!pf.lineOfSight || seek.lengthSq() === 0) return steer;
+
+    const pos = this.mesh.position;
+    const ahead = SimEnemy.AVOID_LOOKAHEAD;
+    if (pf.lineOfSight(pos.x, pos.z, pos.x + seek.x * ahead, pos.z + seek.z * ahead)) return steer;
+
+    // left / right of the heading
+    for (const side of [1, -1]) {
+      const sx = -seek.z * side, sz = seek.x * side;
+      const px = pos.x + (seek.x + sx) * ahead * 0.7;
+      const pz = pos.z + (seek.z + sz) * ahead * 0.7;
+      if (pf.lineOfSight(pos.x, pos.z, px, pz)) {
+        return steer.set(sx, 0, sz).multiplyScalar(SimEnemy.STEER_AVOID);
+      }
+    }
+    return steer;
+  }
+
+  /**
+   * Metres still to walk to the player, even while going for a turret: off
+   * the flow field (always built toward the player), else along the current
+   * path when it leads to the player, else a straight line.
+   */
+  distanceToPlayer() {
+    const pos = this.mesh.position;
+    const d = this.pathfinder.flowDistance(pos);
+    if (d < Infinity) return d;
+    if (this.target || this.nextWP >= this.path.length) return pos.distanceTo(this.player.mesh.position);
+
+    let len = pos.distanceTo(this.path[this.nextWP]);
+    for (let i = this.nextWP + 1; i < this.path.length; i++) {
+      len += this.path[i - 1].distanceTo(this.path[i]);
+    }
+    return len;
+  }
+
+  yawFromDir(dir) {
+    return Math.atan2(dir.x, dir.z);
+  }
+
+  smooth_look_at(dir, dist, delta) {
+
+    /* Quaternion Slerp */
+
+    const forward = new THREE.Vector3(0, 0, 1); 
+
+    // Compute target quaternion to look along toWP
+    const targetQuat = new THREE.Quaternion()
+      .setFromUnitVectors(forward, dir);
+
+    // Slerp from current to target, with a turnSpeed factor
+    // a turnSpeed of 1 rad/s means a full 180° turn takes 3 seconds: it can feel too
+    // sluggish when the player's close, so we branch in two cases:
+    const closeThreshold = 10;
+    const turnSpeed = dist < closeThreshold ? 4 : 1;
+    this.mesh.quaternion.slerp(targetQuat, Math.min(1, delta * turnSpeed));
+
+  }
+
+  /** @returns {boolean} true if this hit killed it */
+  takeDamage(damage) {
+    this.health -= damage;
+    if (this.health < 0) this.health = 0;
+    return this.health <= 0;
+  }
+
+  update(delta) {
+
+    if (!this.pathfinder) return;
+
+    // before position update
+    // every frame the velocity decays by a small percentage, like air resistance
+    this.velocity.lerp(new THREE.Vector3(), delta * 0.1);   // cheap air-drag
+
+    // move by whatever velocity they currently have
+    const nextPos = this.mesh.position.clone().addScaledVector(this.velocity, delta);
+
+    // Check the distance to the target (player or turret) to determine if the enemy should attack.
+    this.chooseTarget(delta);
+    const attacking = this.targetDistance() < this.attackRange; // per archetype
+    if (attacking !== this.isAttacking) {
+      this.isAttacking = attacking;
+      this.attackClock = 0;   // every attack starts at the top of the clip
+      this.onAttackChange(attacking);
+    }
+
+    /* simple air-drag so they eventually stop */
+    this.velocity.multiplyScalar(Math.exp(-4 * delta)); // 4 ≈ damping factor
+    
+    // used during collision detection
+    const tmpBox = new THREE.Box3();
+
+
+    let blocked = false;
+    for (const box of this.staticColliders) {
+      // expand by the zombie’s personal radius so he stops a little early
+      tmpBox.copy(box).expandByScalar( this.radius );
+
+      if (tmpBox.containsPoint(nextPos)) {
+        blocked = true;
+        break;                            // no need to test others
+      }
+    }
+
+    if (!blocked) {
+      // free to move
+      this.mesh.position.copy(nextPos);
+    } else {
+      // super-simple slide: zero the component that points into the obstacle
+      // (optional – delete if you just want them to stop)
+      this.velocity.set(0, 0, 0);
+    }
+        
+    if (!this.pathingPaused) this.pathfinding_logic(delta);
+
+    if (this.isAttacking) {
+      this.attackClock = (this.attackClock + delta * this.archetype.animSpeed) % this.attackClipLength;
+    }
+  }
+
+  /** hook for the view: the attack started (true) or stopped (false) */
+  onAttackChange(attacking) {}
+}
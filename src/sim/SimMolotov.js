@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+import { Pool } from '../Pool.js';
+
+/**
+ * A burning patch as the simulation sees it: radius, lifetime and the damage
+ * it deals to every enemy inside. Molotov adds the scorch decal and flames.
+ *
+ * Get molotovs from `acquire()` and hand them back with `recycle()` once
+ * they burnt out; every subclass keeps its own pool.
+ */
+export class SimMolotov {
+    static pool = new Pool({
+        create : (...args) => new SimMolotov().init(...args),
+        reset  : (m, ...args) => m.init(...args),
+        release: (m) => m.sleep(),
+        max    : 8
+    });
+
+    static acquire (...args) {
+        return this.pool.acquire(...args);
+    }
+
+    constructor () {
+        this.damagePerSec  = 150;          // DPS to each enemy inside
+        this.lifetime      = 8;          // seconds fire lasts
+
+        /* master container, its position is the centre of the fire */
+        this.group = new THREE.Group();
+    }
+
+    /* (re)lights this molotov at pos: everything that changes per throw ---- */
+    init (pos, game) {
+        this.radius = 30 * (game?.player?.modifier('molotovRadius') ?? 1); // burn area
+        this.game   = game;              // Simulation instance to access enemies
+        this.timer  = 0;                 // elapsed time
+
+        this.group.position.copy(pos);
+        return this;
+    }
+
+    /* waiting in the pool */
+    sleep () {}
+
+    /* parks this molotov for the next acquire(); drop every reference to it */
+    recycle () {
+        this.constructor.pool.release(this);
+    }
+
+    /* called once per step: returns true once it burnt out ---------------- */
+    update (dt) {
+        this.timer += dt;
+
+        const centre = this.group.position;
+        const rSq = this.radius * this.radius;
+            
+        /* burn all enemies currently inside radius */
+        const spawner = this.game?.enemySpawner;
+        if (spawner) {
+            for (const e of spawner.enemiesInRadius(centre, this.radius)) {
+                if (!e.mesh) continue;
+
+
+                const distSq = e.mesh.position.distanceToSquared(centre);
+                if (distSq < rSq) {
+                    /* ---------- quadratic fall-off -------------------------------- */
+                    const dist = Math.sqrt(distSq);            // metres from centre
+                    const t    = 1 - dist / this.radius;       // 1 → centre, 0 → edge
+                    const dmg  = this.damagePerSec * t * t * dt;
+                    /* -------------------------------------------------------------- */
+
+                    const dead = e.takeDamage(dmg);
+                    if (dead && this.game) {
+                    this.game.onEnemyKilled(e, 'molotov');
+                    }
+                }
+            }
+        }
+
+        /* expire */
+        return this.timer >= this.lifetime;   // “I’m done, remove me”
+    }
+}
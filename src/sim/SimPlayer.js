@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+
+/**
+ * The player as the simulation sees it: health, mana, XP, modifiers,
+ * WASD movement and the knife swing. No model, no animation – Player adds
+ * those on top and follows along through the on… hooks below.
+ *
+ * `mesh` is only a transform (position + facing) until a view puts a model
+ * in it; `game` is the Simulation (or Game) the player lives in.
+ */
+export class SimPlayer {
+  static SPAWN_HEIGHT = 1.5;   // the model's origin sits this far above the ground
+  static KNIFE_TIME   = 0.8;   // seconds per swing at knifeSpeed 1 (the trimmed clip)
+  static KNIFE_DAMAGE = 80;
+  static RADIUS       = 0.75;  // against static colliders
+
+  constructor() {
+    this.game = null;
+    this.health = 100;
+    this.alive = true;
+    this.speed = 10; // Movement speed.
+    this.velocity = new THREE.Vector3(0, 0, 0);
+
+    this.mesh = new THREE.Group();
+    this.mesh.position.set(0, SimPlayer.SPAWN_HEIGHT, 0);
+
+    // a knife swing runs for knifeTime / knifeMult seconds, the hit lands on
+    // the first update after it started
+    this.isAttacking = false;
+    this.knifeTimer  = 0;
+    this.knifeTime   = SimPlayer.KNIFE_TIME;   // Player sets the real clip length
+    this.knifeDamageApplied = false;
+    // Callback to be set by the Simulation for handling knife damage.
+    this.onKnifeHit = null;
+    this.knifeEquipped = true;    // false while a gun is in hand, the Simulation fires those
+
+    this.baseMaxMana = 100;       // scaled by the 'maxMana' modifier, see the getter
+    this.mana = this.baseMaxMana;
+    this.level       = 1;         // starts at Lv-1
+    this.xp          = 0;         // current XP
+    this.xpToNext    = 50;        // XP needed for Lv-up (first tier)
+    this._mod = { knifeSpeed: 1, moveSpeed: 1 };
+    this.perks       = [];        // perks picked on level-up, in order
+  }
+
+  // public helpers for buffs & debuffs
+  addTempModifier(kind, mult = 1) {
+    if (this._mod[kind] === undefined) this._mod[kind] = 1;
+    this._mod[kind] *= mult;
+  }
+  removeTempModifier(kind, mult = 1) {
+    if (this._mod[kind] === undefined) return;
+    this._mod[kind] /= mult;
+  }
+  get knifeMult() { return this._mod.knifeSpeed ?? 1; }
+  get moveMult()  { return this._mod.moveSpeed  ?? 1; }
+  get maxMana()   { return this.baseMaxMana * this.modifier('maxMana'); }
+
+  /** current multiplier for any stat, 1 if nothing touched it */
+  modifier(kind) { return this._mod[kind] ?? 1; }
+
+  /** perks are just modifiers that are never removed */
+  applyPerk(perk) {
+    for (const [kind, mult] of Object.entries(perk.mods)) {
+      this.addTempModifier(kind, mult);
+    }
+    this.perks.push(perk.id);
+  }
+
+  /* how many % of the ring should be filled right now? */
+  get xpPct() { return (this.xp / this.xpToNext) * 100; }
+
+  /** add experience, returns true if a level-up happened */
+  addXP(amount = 1) {
+    this.xp += amount;
+
+    let levelled = false;
+    while (this.xp >= this.xpToNext) {
+      this.xp     -= this.xpToNext;
+      this.level  += 1;
+      this.xpToNext = Math.floor(this.xpToNext * 1.25); // harder each tier
+      levelled = true;
+    }
+    return levelled;
+  }
+
+  spendMana(amount) {
+    if (this.mana >= amount) {
+      this.mana -= amount;
+      return true;
+    }
+
+    // not enough – tell the user once per click
+    this.game?.notify("Not enough mana!", this.mesh.position.clone());
+    return false;
+  }
+
+  regenMana(delta, rate = 10) {
+    this.mana += rate * this.modifier('manaRegen') * delta;
+    if (this.mana > this.maxMana) this.mana = this.maxMana;
+  }
+
+  update(delta, input, cameraAngle) {
+
+    if (!this.alive) return;
+
+    // the running swing ends first, like an animation finishing before the frame
+    if (this.isAttacking) {
+      this.knifeTimer -= delta;
+      if (this.knifeTimer <= 0) {
+        this.isAttacking = false;
+        this.knifeDamageApplied = false;
+        this.onKnifeEnd();
+      }
+    }
+
+    // Handle knife attack
+    if (input['MouseLeft'] && this.knifeEquipped && !this.isAttacking) {
+      this.isAttacking = true;
+      this.knifeTimer  = this.knifeTime / this.knifeMult;
+      input['MouseLeft'] = false;
+      this.onKnifeStart();
+      return;
+    }
+
+    // Gather input
+    let forwardInput = 0;
+    let rightInput = 0;
+    if (input['KeyW']) forwardInput += 1;
+    if (input['KeyS']) forwardInput -= 1;
+    if (input['KeyD']) rightInput += 1;
+    if (input['KeyA']) rightInput -= 1;
+
+    const cameraForward = new THREE.Vector3(-Math.cos(cameraAngle), 0, -Math.sin(cameraAngle));
+    const cameraRight = new THREE.Vector3(Math.sin(cameraAngle), 0, -Math.cos(cameraAngle));
+    const moveDir = new THREE.Vector3();
+    moveDir.addScaledVector(cameraForward, forwardInput);
+    moveDir.addScaledVector(cameraRight, rightInput);
+
+    const currentSpeed = this.speed * 1.8 * this.moveMult; // uses the getter
+    const moving = moveDir.length() > 0;
+
+    if (moving) {
+      moveDir.normalize();
+
+      this.velocity.copy(moveDir).multiplyScalar(currentSpeed);
+      const movement = moveDir.clone().multiplyScalar(currentSpeed * delta);
+      this.mesh.position.add(movement);
+
+      const nextPos = this.mesh.position.clone();
+
+      const targetPosition = this.mesh.position.clone().add(moveDir);
+      targetPosition.y = this.mesh.position.y;
+      this.mesh.lookAt(targetPosition);
+
+      // simple sphere-vs-box test (treat player as 0.75-unit radius capsule head)
+      let blocked = false;
+
+      const tmp = new THREE.Box3();
+      for (const box of this.game.staticColliders) {
+        // expand box by the player radius → cheaper than real capsule test
+        tmp.copy(box).expandByScalar(SimPlayer.RADIUS);
+        if (tmp.containsPoint(nextPos)) {
+          blocked = true;
+          break;
+        }
+      }
+
+      if (blocked) {
+        this.mesh.position.sub(movement); // undo the last movement
+      }
+    } else {
+      this.velocity.set(0, 0, 0);
+    }
+    this.onMove(moving);
+
+    // Knife damage logic
+    if (this.isAttacking && !this.knifeDamageApplied) {
+      if (this.onKnifeHit) this.onKnifeHit(SimPlayer.KNIFE_DAMAGE * this.modifier('knifeDamage'));
+      this.knifeDamageApplied = true;
+    }
+  }
+
+  heal(amount) {
+    this.health = Math.min(100, this.health + amount);
+  }
+
+  /**
+   * @param {number} visualDelayMs – when the view shows the hit (a melee
+   *        swing lands a bit after the damage is booked)
+   */
+  takeDamage(amount, visualDelayMs = 700) {
+
+    if (!this.alive) return;
+
+    this.health -= amount;
+    this.onDamaged(amount, visualDelayMs);
+
+    if (this.health <= 0) {
+      this.die();
+    }
+  }
+
+  die() {
+
+    if (!this.alive) return; // already dead
+
+    this.alive = false;
+    this.onDeath();
+
+    /* Tell the game */
+    this.game?.onPlayerDeath?.();
+  }
+
+  /* ── hooks for the view (Player); the simulation itself needs none ── */
+  onKnifeStart() {}
+  onKnifeEnd() {}
+  /** @param {boolean} moving – WASD moved the player this update */
+  onMove(moving) {}
+  onDamaged(amount, visualDelayMs) {}
+  onDeath() {}
+}
@@ -0,0 +1,281 @@
+import * as THREE from 'three';
+import { SimEnemy } from './SimEnemy.js';
+import { SimBoss } from './SimBoss.js';
+import { composeWave } from '../EnemyArchetypes.js';
+import { rollDrops } from '../DropTables.js';
+import { DEFAULT_DIFFICULTY, waveDifficulty } from '../Difficulty.js';
+import { SpatialHash } from '../SpatialHash.js';
+import { Pool } from '../Pool.js';
+import { rng } from '../Random.js';
+
+const random = rng.stream('spawn');   // positions, elites, wave mix, drops
+
+
+/**
+ * Waves, the boss schedule, enemy pools, the shared spatial index and the
+ * drops. EnemySpawner puts what this spawns on screen through the on… hooks
+ * and the create… factories.
+ */
+export class SimSpawner {
+  static POOL_SIZE = 40;   // idle enemies kept per archetype
+
+  /** @param {Simulation} game – player, pathfinder and colliders come from it */
+  constructor(game) {
+    this.player = game.player;
+    this.pathfinder = game.pathfinder;
+    this.enemies = [];
+
+    // Horde system
+    this.currentWave = 1;
+    this.spawnedEnemies = 0;
+    this.spawnTimer = 0;
+    this.difficulty = DEFAULT_DIFFICULTY;   // key of DIFFICULTY_PRESETS, see setDifficulty
+    this.applyWaveCurve();
+    this.game = game;
+
+    this.waveInProgress = true;
+    this.nextWaveDelay = 5;
+    this.waveCooldownTimer = 0;
+
+    this.score = 0;
+
+    // every bossEvery-th wave also brings a boss on top of the regular horde
+    this.bossEvery   = 5;
+    this.bossPending = false;
+    this.boss        = null;
+
+    // shared spatial index of the enemies: crowd steering, bullets, knife,
+    // molotovs and turrets all query it. Rebuilt once per step.
+    this.index = new SpatialHash(4);
+
+    // killed enemies wait here, one pool per archetype + elite, so the next
+    // wave reuses them – model, mixer and health bar included (the boss isn't pooled)
+    this.pools = new Map();
+  }
+
+  /** the pool recycling enemies of `type` (elite or not) */
+  poolFor(type, elite) {
+    const key = `${type}|${elite}`;
+    if (!this.pools.has(key)) {
+      this.pools.set(key, new Pool({
+        create : (scaling) => this.createEnemy(type, scaling),
+        reset  : (enemy, scaling) => enemy.reset(scaling),
+        release: (enemy) => enemy.sleep(),
+        dispose: (enemy) => enemy.dispose(),
+        max    : SimSpawner.POOL_SIZE
+      }));
+    }
+    return this.pools.get(key);
+  }
+
+  /* ── what gets spawned: EnemySpawner builds the on-screen classes ── */
+  createEnemy(type, scaling) {
+    return new SimEnemy(this.player, this.game.staticColliders, this.pathfinder, type, scaling);
+  }
+
+  createBoss(scaling) {
+    return new SimBoss(this.player, this.game.staticColliders, this.pathfinder, this, scaling);
+  }
+
+  /** call once per step, after the enemies moved */
+  rebuildIndex() {
+    this.index.rebuild(this.enemies);
+  }
+
+  /** live enemies within `radius` of `pos` (XZ plane) */
+  enemiesInRadius(pos, radius, out = []) {
+    return this.dropRemoved(this.index.queryRadius(pos.x, pos.z, radius, out));
+  }
+
+  /** live enemies within `radius` of `pos` and < halfAngle off the unit `dir` */
+  enemiesInCone(pos, dir, radius, halfAngle, out = []) {
+    return this.dropRemoved(this.index.queryCone(pos.x, pos.z, dir.x, dir.z, radius, halfAngle, out));
+  }
+
+  /** killed since the last rebuild → still in the index, but not fair game */
+  dropRemoved(list) {
+    let n = 0;
+    for (const e of list) if (!e.removed) list[n++] = e;
+    list.length = n;
+    return list;
+  }
+
+  update(delta) {
+
+    if (this.enabled === false) return;
+
+    if (this.waveInProgress) {
+      // Spawn logic during the wave
+      this.spawnTimer += delta;
+
+      if (this.spawnedEnemies < this.maxEnemiesInWave && this.spawnTimer >= this.spawnInterval) {
+        this.spawnTimer = 0;
+
+        const spawnPos = this.getFreeSpawnPosition(this.game.staticColliders, 1.0);
+        if (!spawnPos) return; // No free spawn position found
+
+        const elite = random.chance(this.curve.eliteChance);
+        this.spawnEnemy(this.waveQueue[this.spawnedEnemies] ?? 'zombie', spawnPos, { elite });
+        this.spawnedEnemies++;
+      }
+
+      if (this.bossPending) this.spawnBoss();
+
+      // If all enemies have been spawned and killed, prepare next wave
+      if (this.spawnedEnemies >= this.maxEnemiesInWave && this.enemies.length === 0 && !this.bossPending) {
+        this.waveInProgress = false;
+        this.waveCooldownTimer = this.nextWaveDelay;
+      }
+    } else {
+      // Wait before next wave
+      this.waveCooldownTimer -= delta;
+      if (this.waveCooldownTimer <= 0) {
+        this.currentWave++;
+        this.startNewWave();
+      }
+    }
+  }
+  
+  /**
+   * creates one enemy of `type` at `pos`, scaled by the current wave's curve,
+   * and puts it into play; used by the wave loop and by the boss's summons
+   */
+  spawnEnemy(type, pos, { elite = false } = {}) {
+    const { health, speed, damage } = this.curve;
+    const scaling = { health, speed, damage, elite };
+    const enemy = type === 'boss'
+      ? this.createBoss(scaling)
+      : this.poolFor(type, elite).acquire(scaling);
+
+    // the spawner decides the position
+    enemy.mesh.position.copy(pos);
+
+    this.enemies.push(enemy);
+    this.onAdded(enemy);
+    return enemy;
+  }
+
+  /** drops the boss somewhere free, well away from the player */
+  spawnBoss() {
+    const playerPos = this.player.mesh?.position;
+    let pos = null;
+    for (let i = 0; i < 10 && !pos; i++) {
+      const p = this.getFreeSpawnPosition(this.game.staticColliders, 2.5);
+      if (p && (!playerPos || p.distanceTo(playerPos) > 80)) pos = p;
+    }
+    if (!pos) return; // try again next frame
+
+    this.bossPending = false;
+    this.boss = this.spawnEnemy('boss', pos);
+    this.onBossArrived(this.boss);
+    this.game.announce(`⚠ ${this.boss.name} approaches!`, 3);
+  }
+
+  pause() { this.enabled = false; }   // called by Simulation.onPlayerDeath()
+  resume() { this.enabled = true; }
+
+  /**
+   * Picks the difficulty preset for the run (the game asks before the first spawn)
+   * and re-rolls the current wave with it.
+   * @param {string} id – key of DIFFICULTY_PRESETS
+   */
+  setDifficulty(id) {
+    this.difficulty = id;
+    this.applyWaveCurve();
+  }
+
+  /**
+   * Enemies get stronger, faster and more numerous at each wave:
+   * count, spawn rate, archetype mix and the stat multipliers handed to every
+   * Enemy all come from the difficulty curve (see Difficulty.js).
+   */
+  applyWaveCurve() {
+    this.curve = waveDifficulty(this.difficulty, this.currentWave);
+    this.maxEnemiesInWave = this.curve.count;
+    this.spawnInterval    = this.curve.spawnInterval;
+    this.waveQueue = composeWave(this.currentWave, this.maxEnemiesInWave, random.next, this.curve.mix); // archetype ids, in spawn order
+  }
+
+  startNewWave() {
+    this.spawnedEnemies = 0;
+    this.applyWaveCurve();
+    this.waveInProgress = true;
+    this.bossPending = this.currentWave % this.bossEvery === 0;
+
+    this.game.announce(`Wave ${this.currentWave} incoming!`, 2);
+  }
+
+  /**
+   * Takes the enemy out of play; regular enemies go back to their pool.
+   * Returns false if the enemy had already been removed.
+   * @param {{drops?: boolean}} [opts] – drops:false skips the drop table (self-destructs)
+   */
+  removeEnemy(enemy, { drops = true } = {}) {
+    const index = this.enemies.indexOf(enemy);
+    if (index > -1) {
+      this.onRemoved(enemy);
+      this.enemies.splice(index, 1);
+      enemy.removed = true;
+      this.score += enemy.isBoss ? 500 : 10;
+      if (drops) this.spawnDrops(enemy);
+      if (enemy.isBoss) enemy.dispose();
+      else              this.poolFor(enemy.type, enemy.elite).release(enemy);
+      if (enemy === this.boss) {
+        this.boss = null;
+        this.onBossDefeated(enemy);
+        if (drops) this.game.announce(`${enemy.name} defeated!`, 3);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /** rolls the enemy's drop table and scatters the hits around the body */
+  spawnDrops(enemy) {
+    const drops = rollDrops(enemy.type, random.next);
+    if (!drops.length) return;
+
+    drops.forEach((drop, i) => {
+      // fan multiple drops out on a small circle so they don't overlap
+      const angle = (i / drops.length) * Math.PI * 2;
+      const pos = enemy.mesh.position.clone().setY(0);
+      if (drops.length > 1) pos.add(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)).multiplyScalar(2));
+
+      this.game.spawnPickup(pos, drop.kind, drop.amount);
+    });
+  }
+
+  getFreeSpawnPosition (colliders, radius = 1, maxTry = 40) {
+
+    const mapHalf = 240;              // your ground is 500×500 → ±250
+    const tmpBox  = new THREE.Box3(); // reused each loop
+
+    for (let i = 0; i < maxTry; i++) {
+
+      // pick a random point somewhere on the map (— tweak as you like)
+      const pos = new THREE.Vector3(
+        random.spread(mapHalf * 2),
+        0,
+        random.spread(mapHalf * 2)
+      );
+
+      // build a little AABB around that point (Y just needs to cover zombies)
+      tmpBox.setFromCenterAndSize(
+        pos,
+        new THREE.Vector3(radius * 2, 4, radius * 2)
+      );
+
+      // collide with every static obstacle
+      const hit = colliders.some(b => b.intersectsBox(tmpBox));
+      if (!hit) return pos;           // success!
+    }
+
+    return null;                      // gave up – map is probably full
+  }
+
+  /* ── hooks for the view (EnemySpawner) ── */
+  onAdded(enemy) {}
+  onRemoved(enemy) {}
+  onBossArrived(boss) {}
+  onBossDefeated(boss) {}
+}
@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+
+/**
+ * A placed turret as the simulation sees it: upgrade tiers, targeting,
+ * aiming, firing and the wreck countdown. `object` is a bare transform;
+ * Turret adds the model, hit flash, health bar and range ring.
+ */
+export class SimTurret {
+  static COST        = 50;              // mana to place one (plus a turret token)
+  static BASE_RANGE  = Math.sqrt(5000); // firing radius in metres (≈ 70.7)
+  static SELL_REFUND = 0.5;             // share of the mana spent that comes back
+  static MAX_HEALTH  = 400;
+  static WRECK_TIME  = 3;               // seconds the wreck stays before it's removed
+  static MUZZLE_HEIGHT = 1.5;           // where shots leave without a model to ask
+
+  /**
+   * Upgrade tracks; each tier multiplies the stat by `mult` and costs the
+   * next entry of `cost` in mana. A track is maxed once `cost` runs out.
+   */
+  static UPGRADES = {
+    fireRate:  { icon: '⏩', name: 'Fire rate',  mult: 1.25, cost: [30, 50, 80] },
+    range:     { icon: '📡', name: 'Range',      mult: 1.15, cost: [30, 50, 80] },
+    turnSpeed: { icon: '🔄', name: 'Turn speed', mult: 1.4,  cost: [20, 35, 55] },
+    damage:    { icon: '💢', name: 'Damage',     mult: 1.3,  cost: [40, 60, 90] },
+  };
+
+  /**
+   * Targeting modes: among the enemies in range the turret shoots the one with
+   * the lowest `score` (d2 = squared distance to the turret).
+   */
+  static TARGETING = {
+    closest:       { icon: '📍', name: 'Closest',        score: (e, d2) => d2 },
+    lowestHealth:  { icon: '🩸', name: 'Lowest health',  score: (e) => e.health },
+    highestHealth: { icon: '🐘', name: 'Highest health', score: (e) => -e.health },
+    // most dangerous archetype first, the nearest one among equals
+    strongest:     { icon: '☠️', name: 'Strongest',      score: (e, d2) => -e.archetype.threat * 1e9 + d2 },
+    first:         { icon: '🏁', name: 'First to reach player', score: (e) => e.distanceToPlayer() },
+  };
+
+  /**
+   * @param {THREE.Vector3} pos
+   * @param {Simulation}    game – fires through game.spawnBullet
+   */
+  constructor(pos, game) {
+    this.fireRate   = 2;   // shots/sec
+    this.range      = SimTurret.BASE_RANGE;  // firing radius, metres
+    this.turnSpeed  = 2;   // radians/sec
+    this.damage     = 1;   // multiplier on the bullets' kinetic-energy damage
+    this.cooldown   = 0;
+    this.tiers      = { fireRate: 0, range: 0, turnSpeed: 0, damage: 0 };
+    this.invested   = SimTurret.COST;     // mana put in so far, for the sell refund
+    this.targeting  = 'closest';          // key of SimTurret.TARGETING
+    this._inRange   = [];                 // reused by findTarget's index query
+
+    // enemies go for turrets too (see SimEnemy.chooseTarget)
+    this.radius     = 1.6;                // same footprint as Simulation.TURRET_RADIUS
+    this.maxHealth  = SimTurret.MAX_HEALTH;
+    this.health     = this.maxHealth;
+    this.alive      = true;               // false once destroyed or sold
+    this.wreckTimer = 0;
+    this.game     = game;
+    this.spawner  = game.enemySpawner;
+    this.object   = new THREE.Group();
+    this.object.position.copy(pos);
+  }
+
+  get rangeSq() { return this.range * this.range; }
+
+  /** mana for the next tier of `stat`, or null if it's maxed */
+  upgradeCost(stat) {
+    return SimTurret.UPGRADES[stat].cost[this.tiers[stat]] ?? null;
+  }
+
+  /** applies one tier of `stat` – the caller has already taken the mana */
+  upgrade(stat) {
+    const cost = this.upgradeCost(stat);
+    if (cost === null) return false;
+
+    this[stat] *= SimTurret.UPGRADES[stat].mult;
+    this.tiers[stat]++;
+    this.invested += cost;
+    return true;
+  }
+
+  /** mana handed back when sold (the turret token is always returned) */
+  get sellValue() {
+    return Math.floor(this.invested * SimTurret.SELL_REFUND);
+  }
+
+  /**
+   * @returns {boolean} true if this hit destroyed it
+   */
+  takeDamage(damage) {
+    if (!this.alive) return false;
+
+    this.health = Math.max(0, this.health - damage);
+    this.onDamaged();
+
+    if (this.health <= 0) {
+      this.destroy();
+      return true;
+    }
+    return false;
+  }
+
+  /** hook for the view, after every hit that found it alive */
+  onDamaged() {}
+
+  /** burnt-out wreck: stops shooting, stays for WRECK_TIME, then the Simulation removes it */
+  destroy() {
+    this.alive = false;
+    this.wreckTimer = SimTurret.WRECK_TIME;
+  }
+
+  /** out of the game (sold or wreck expired) */
+  dispose() {
+    this.alive = false;
+  }
+
+  /** switches to the next targeting mode, returns its key */
+  cycleTargeting() {
+    const modes = Object.keys(SimTurret.TARGETING);
+    this.targeting = modes[(modes.indexOf(this.targeting) + 1) % modes.length];
+    return this.targeting;
+  }
+
+  /** best enemy in range for the current targeting mode, or null */
+  findTarget() {
+    const score = SimTurret.TARGETING[this.targeting].score;
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const e of this.spawner.enemiesInRadius(this.object.position, this.range, this._inRange)) {
+      const dSq = e.mesh.position.distanceToSquared(this.object.position);
+      if (dSq >= this.rangeSq) continue;   // the index is XZ-only, this one is 3-D
+
+      const s = score(e, dSq);
+      if (s < bestScore) {
+        best = e;
+        bestScore = s;
+      }
+    }
+    return best;
+  }
+
+  /** where shots leave the barrel, written into `out` */
+  muzzlePosition(out) {
+    return out.copy(this.object.position).setY(SimTurret.MUZZLE_HEIGHT);
+  }
+
+  /**
+   * Aims and fires; also runs the wreck countdown.
+   * @returns {boolean} true when the wreck should be removed
+   */
+  update(dt) {
+    if (!this.alive) {
+      this.wreckTimer -= dt;
+      return this.wreckTimer <= 0;
+    }
+
+    const target = this.findTarget();
+
+    if (!target) {
+      this.cooldown = Math.max(0, this.cooldown - dt);
+      return false;
+    }
+
+    // Aim at enemy (XZ plane only)
+    const toTarget = target.mesh.position.clone()
+                       .sub(this.object.position)
+                       .setY(0)
+                       .normalize();
+
+    const currentDir = new THREE.Vector3(0, 0, 1)
+                         .applyQuaternion(this.object.quaternion);
+    const angle = currentDir.angleTo(toTarget);
+    const maxStep = this.turnSpeed * dt;
+
+    if (angle > 0.001) {
+      const axis = currentDir.clone().cross(toTarget).normalize();
+      const step = Math.min(maxStep, angle);
+      this.object.quaternion.multiply(
+        new THREE.Quaternion().setFromAxisAngle(axis, step)
+      );
+    }
+
+    // Fire
+    this.cooldown -= dt;
+    if (
+      angle < 0.001 && 
+      this.cooldown <= 0
+    ) {
+
+      const muzzlePos = this.muzzlePosition(new THREE.Vector3());
+      const muzzleDir = target.mesh.position.clone().sub(muzzlePos).normalize();
+
+      this.game.spawnBullet(muzzlePos, muzzleDir, {
+        source: 'turret', energyScale: 0.02 * this.damage
+      });
+      // 'turretFireRate' perks live on the player and boost every turret
+      const rateMult = this.game.player?.modifier?.('turretFireRate') ?? 1;
+      this.cooldown = 1 / (this.fireRate * rateMult);
+    }
+    return false;
+  }
+}
@@ -0,0 +1,781 @@
+import * as THREE from 'three';
+import { SimPlayer } from './SimPlayer.js';
+import { SimSpawner } from './SimSpawner.js';
+import { SimBullet } from './SimBullet.js';
+import { SimTurret } from './SimTurret.js';
+import { SimMolotov } from './SimMolotov.js';
+import { GridPathFinder } from '../GridPathFinder.js';
+import { Pickup } from '../Pickup.js';
+import { Potion } from '../Potion.js';
+import { rng } from '../Random.js';
+import { GRAVITY, XP_WAVE_BONUS } from '../constants.js';
+import { rollPerks } from '../Perks.js';
+import { WeaponSystem, WEAPON_SLOTS } from '../Weapons.js';
+import { PowerUpManager, POWER_UPS } from '../PowerUps.js';
+
+/**
+ * The game without a screen: player, horde, waves, bullets, turrets,
+ * molotovs, pickups, XP and perks, advanced one fixed step at a time.
+ * Nothing in here touches the DOM, WebGL or the network, so it runs in Node:
+ *
+ *   const sim = Simulation.headless({ seed: 42 });
+ *   sim.input.KeyW = true;
+ *   while (!sim.isGameOver) sim.step(Simulation.SIM_STEP);
+ *
+ * Game extends it with rendering, the HUD, mouse and keyboard. The views
+ * hook in through the create… factories (Turret instead of SimTurret …) and
+ * the message hooks notify / announce / tokensChanged.
+ */
+export class Simulation {
+  static SIM_STEP = 1 / 60;   // seconds per simulation step (60 Hz)
+
+  /* Rough footprint the turret occupies on the ground  ─────────────── */
+  static TURRET_RADIUS = 1.6;   // metres (≈ the green cylinder you use)
+  static MAX_ENEMY_RADIUS = 1.2; // largest archetype radius (boss), pads index queries
+  static MOLOTOV_COST  = 50;    // mana per throw (plus a molotov token)
+  static MAP_HALF      = 250;   // the playfield is -250‥250 on X and Z
+
+  /**
+   * @param {{seed?:number}} [opts] – seed restarts `rng`, for reproducible runs
+   */
+  constructor({ seed } = {}) {
+    if (seed !== undefined) rng.reseed(seed);
+
+    this.isGameOver = false;
+
+    // gameplay events ('enemy-killed', 'level-up') other systems can subscribe to
+    this.events = new THREE.EventDispatcher();
+    this.killsBySource = {};   // source → kill count, e.g. { knife: 12, turret: 30 }
+    this.damageBySource = {};  // source → damage the player took, e.g. { zombie: 80, spitter: 24 }
+    this.tick = 0;             // simulation steps run so far
+
+    // Data structures for static models
+    this.staticColliders = [];
+
+    this.playerSpawnPos = new THREE.Vector3(0, 0, 0); // actually the player is at y = 1.5 but it's the same
+    this.reservedRadius   = 60;                       // metres of clearance
+    this.reservedRadiusSq = this.reservedRadius ** 2;
+
+    this.player = null;        // see attachPlayer
+    this.input  = {};          // key code → held, like KeyboardEvent.code ('KeyW', 'MouseLeft' …)
+    this.cameraAngle = Math.PI / 4;   // WASD moves relative to the view
+    this.aim = null;           // ground point shots go to, see aimPoint
+
+    // Array to hold active bullets.
+    this.bullets = [];
+    this._bulletHits = [];   // reused by the bullet loop's index queries
+
+    this.turretTokens = 1900;          // how many the player can still place
+    this.molotovTokens = 1000;        // give player a few to start
+    this.potionTokens = 3;            // more drop from enemies
+    this.tokensSpent = { turret: 0, molotov: 0, potion: 0 };
+
+    // knife + firearms, switched with the wheel or keys 4-7
+    this.weapons = new WeaponSystem();
+    this.triggerPressed = false;   // LMB went down since the last step
+
+    // every level gained is worth one perk pick
+    this.pendingPerks = 0;
+    this.perkOffer    = null;      // the 3 perks on offer, see openPerkChoice
+    this.events.addEventListener('level-up', () => {
+      this.pendingPerks++;
+      this.openPerkChoice();
+    });
+
+    this.pickups  = [];
+    this.turrets  = [];
+    this.nextTurretId = 1;
+    this.molotovs = [];            // active instances
+    this._activePotion = null;
+    this.powerUps = new PowerUpManager(this);   // timed world buffs
+  }
+
+  /* ───── headless setup ────────────────────────────────────────── */
+
+  /** a simulation ready to step, on the bare arena (see setup) */
+  static headless(opts = {}) {
+    return new Simulation(opts).setup(opts);
+  }
+
+  /**
+   * Player, pathfinding and spawner on an arena of `colliders` – by default
+   * just four walls where the browser map has its ring of forest.
+   * @param {{colliders?:THREE.Box3[], difficulty?:string}} [opts]
+   */
+  setup({ colliders = Simulation.arenaWalls(), difficulty } = {}) {
+    this.staticColliders.push(...colliders);
+    this.attachPlayer(new SimPlayer());
+    this.initPathfinding();
+    this.initEnemySpawner();
+    if (difficulty) this.setDifficulty(difficulty);
+    return this;
+  }
+
+  /** four 10 m thick walls around the playfield */
+  static arenaWalls() {
+    const h = Simulation.MAP_HALF, t = 5;
+    const box = (x0, z0, x1, z1) => new THREE.Box3(
+      new THREE.Vector3(x0, 0, z0), new THREE.Vector3(x1, 10, z1));
+    return [
+      box(-h - t, -h - t,  h + t, -h + t),   // north
+      box(-h - t,  h - t,  h + t,  h + t),   // south
+      box(-h - t, -h - t, -h + t,  h + t),   // west
+      box( h - t, -h - t,  h + t,  h + t),   // east
+    ];
+  }
+
+  /** makes `player` the one this run is about; the knife reports here */
+  attachPlayer(player) {
+    this.player = player;
+    player.game = this;   // So player can access game and UI
+
+    // Set up a callback so that when the player’s knife attack reaches its hit moment,
+    // we check for nearby enemies and apply damage.
+    player.onKnifeHit = (damage) => this.knifeHit(damage);
+  }
+
+  initPathfinding() {
+    // const mapCells = 200;             // 200×200 => 1000 m² if cell = 5 m
+    // const cellSize = 5;               // world metres per cell
+    const mapCells = 250;
+    const cellSize = 2;
+    this.pathfinder = new GridPathFinder(mapCells, mapCells, cellSize);
+
+    const padding = 0;
+    for (const box of this.staticColliders) {
+      // make a _copy_ so you don’t permanently warp your real bounding boxes
+      const padded = box.clone();
+      if (padding > 0) {
+        const padded = box.clone().expandByScalar(padding);
+      }
+      this.pathfinder.addCollider(padded);
+    }
+  }
+
+  initEnemySpawner() {
+    // Enemy spawner to handle enemy creation.
+    this.enemySpawner = new SimSpawner(this);
+  }
+
+  /* ───── what gets built: Game swaps in the on-screen classes ───── */
+  createBullet(pos, dir, opts) { return SimBullet.acquire(pos, dir, opts); }
+  createTurret(pos)            { return new SimTurret(pos, this); }
+  createMolotov(pos)           { return SimMolotov.acquire(pos, this); }
+
+  /* ───── messages: nobody reads them headless, Game shows them ──── */
+  /** short text floating up at world position `pos` */
+  notify(text, pos) {}
+  /** banner across the screen for `secs` seconds */
+  announce(text, secs) {}
+  /** the turret / molotov / potion token counts changed */
+  tokensChanged() {}
+
+  /* ───── level-up perks & difficulty ───────────────────────────── */
+
+  /**
+   * Rolls "choose 1 of 3" for the next pending level and keeps it in
+   * perkOffer until choosePerk takes one. Returns the offer, or null when
+   * there is nothing to offer (or one is still open).
+   */
+  openPerkChoice() {
+    if (this.perkOffer || this.pendingPerks <= 0 || this.isGameOver) return null;
+    this.perkOffer = rollPerks(3, rng.stream('perks').next);
+    return this.perkOffer;
+  }
+
+  /** takes perk `index` of the open offer; chains if several levels are pending */
+  choosePerk(index) {
+    const perk = this.perkOffer?.[index];
+    if (!perk) return null;
+
+    this.perkOffer = null;
+    this.player.applyPerk(perk);
+    this.pendingPerks--;
+    this.notify(`${perk.icon} ${perk.name}`, this.player.mesh.position.clone());
+
+    if (this.pendingPerks > 0) this.openPerkChoice();
+    return perk;
+  }
+
+  /** @param {string} id – key of DIFFICULTY_PRESETS */
+  setDifficulty(id) {
+    this.enemySpawner.setDifficulty(id);
+  }
+
+  /* ───── dynamic obstacles (turrets, later barricades …) ───────── */
+
+  /**
+   * Blocks `box` for pathing (GridPathFinder.addObstacle) and for movement
+   * (it joins staticColliders until removed), then repaths enemies near it.
+   * @returns {{handle:number, box:THREE.Box3}} pass it to removeObstacle
+   */
+  addObstacle(box) {
+    const obstacle = { handle: this.pathfinder.addObstacle(box), box };
+    this.staticColliders.push(box);
+    this.repathAround(box);
+    return obstacle;
+  }
+
+  removeObstacle(obstacle) {
+    if (!obstacle || !this.pathfinder.removeObstacle(obstacle.handle)) return;
+    const i = this.staticColliders.indexOf(obstacle.box);
+    if (i > -1) this.staticColliders.splice(i, 1);
+    this.repathAround(obstacle.box);
+  }
+
+  /**
+   * Enemies whose remaining path runs through or right around `box` repath on
+   * their next update: through it when it was added, around it when removed.
+   */
+  repathAround(box) {
+    const area = box.clone().expandByScalar(this.pathfinder.cell * 2);
+    for (const enemy of this.enemySpawner?.enemies ?? []) {
+      // the raw route: a string-pulled segment can cross `area` between points
+      if (enemy.rawPath.some(p => area.containsPoint(p))) enemy.repathTimer = 0;
+    }
+  }
+
+  /* ───── turrets & molotovs ────────────────────────────────────── */
+
+  /** buys the next tier of `stat` with mana */
+  upgradeTurret(turret, stat) {
+    const cost = turret.upgradeCost(stat);
+    if (cost === null || !this.player.spendMana(cost)) return;
+
+    turret.upgrade(stat);
+    const { icon, name } = SimTurret.UPGRADES[stat];
+    this.notify(`${icon} ${name} ↑`, turret.object.position.clone());
+  }
+
+  /** next targeting mode (closest → lowest HP → … → first to reach player) */
+  cycleTurretTargeting(turret) {
+    turret.cycleTargeting();
+  }
+
+  /** removes the turret, gives the token back and refunds part of the mana */
+  sellTurret(turret) {
+    const refund = turret.sellValue;
+    this.removeObstacle(turret.obstacle);
+    turret.dispose();
+    this.turrets.splice(this.turrets.indexOf(turret), 1);
+
+    const pos = turret.object.position.clone();
+    this.addTurretToken(1, pos);
+    this.player.mana = Math.min(this.player.maxMana, this.player.mana + refund);
+    this.notify(`+${refund} MP 🔷`, pos.setY(6));
+  }
+
+  /** spends mana and a token on a turret at `pos` (already validated) */
+  placeTurret(pos) {
+    if (this.turretTokens <= 0 || !this.player.spendMana(SimTurret.COST)) return null;
+
+    const turret = this.createTurret(pos.clone());
+    turret.id = this.nextTurretId++;   // commands and replays refer to it by this
+    this.turrets.push(turret);
+    turret.obstacle = this.addObstacle(this.turretFootprint(pos));
+
+    this.addTurretToken(-1);              // spend one token & refresh badge
+    this.tokensSpent.turret++;
+    return turret;
+  }
+
+  /** spends mana and a token on a molotov landing at `pos` */
+  throwMolotov(pos) {
+    if (this.molotovTokens <= 0 || !this.player.spendMana(Simulation.MOLOTOV_COST)) return null;
+    const molotov = this.createMolotov(pos);
+    this.molotovs.push(molotov);
+    this.addMolotovToken(-1);
+    this.tokensSpent.molotov++;
+    return molotov;
+  }
+
+  /** flat bounding-box a turret at `pos` occupies */
+  turretFootprint(pos) {
+    const r = Simulation.TURRET_RADIUS;
+    return new THREE.Box3(
+        new THREE.Vector3(pos.x - r, -1, pos.z - r),
+        new THREE.Vector3(pos.x + r,  3, pos.z + r)   // a few metres tall
+    );
+  }
+
+  /** returns true if the spot is free of static props, other turrets *and* the player */
+  isTurretPlacementValid(pos){
+    /* 1. build a flat bounding-box around the proposed centre */
+    const bb = this.turretFootprint(pos);
+
+    /* 2. collide with static scenery */
+    if (this.staticColliders.some(box => box.intersectsBox(bb))) return false;
+
+    /* 3. collide with already placed turrets (wrecks are no longer colliders) */
+    const r = Simulation.TURRET_RADIUS;
+    for (const t of this.turrets){
+      if (!t.alive) continue;
+      if (t.object.position.distanceToSquared(pos) < (r*2)**2) return false;
+    }
+
+    /* 4. not on the player: the footprint joins staticColliders, and
+          SimPlayer refuses every step that starts inside one (grown by its radius) */
+    const body = bb.clone().expandByScalar(SimPlayer.RADIUS);
+    if (this.player && body.containsPoint(this.player.mesh.position)) return false;
+    return true;
+  }
+
+  /* ───── player commands ───────────────────────────────────────── */
+
+  /**
+   * Runs one player command (see Game.command for the list and for how a
+   * replay records them). Headless drivers call it directly.
+   */
+  execute(cmd) {
+    const turret = this.turrets.find(t => t.id === cmd.id && t.alive);
+    switch (cmd.type) {
+      case 'perk':      this.choosePerk(cmd.index); break;
+      case 'turret':    this.placeTurret(new THREE.Vector3(cmd.x, 0, cmd.z)); break;
+      case 'molotov':   this.throwMolotov(new THREE.Vector3(cmd.x, 0, cmd.z)); break;
+      case 'potion':    Potion.tryConsume(this); break;
+      case 'weapon':    this.selectWeapon(cmd.index, cmd.wrap); break;
+      case 'reload':    this.weapons.reload(); break;
+      case 'upgrade':   if (turret) this.upgradeTurret(turret, cmd.stat); break;
+      case 'sell':      if (turret) this.sellTurret(turret); break;
+      case 'targeting': if (turret) this.cycleTurretTargeting(turret); break;
+      case 'difficulty': this.setDifficulty(cmd.id); break;
+    }
+  }
+
+  /**
+   * Equips weapon slot `index` (see WEAPON_SLOTS).
+   * @param {boolean} [wrap] – wheel scrolling wraps past the first / last slot
+   */
+  selectWeapon(index, wrap = false) {
+    const n = WEAPON_SLOTS.length;
+    if (wrap) index = (index + n) % n;
+    if (!this.weapons.select(index)) return;
+
+    this.player.knifeEquipped = this.weapons.current.melee === true;
+    this.input['MouseLeft'] = false;   // no shot / stab carried over from the old weapon
+  }
+
+  /** where a shot fired this step goes: `aim` on the ground, or null */
+  aimPoint() {
+    return this.aim ? new THREE.Vector3(this.aim.x, 0, this.aim.z) : null;
+  }
+
+  /** fires the equipped gun toward aimPoint(), one bullet per pellet */
+  fireWeapon() {
+    const weapon = this.weapons.current;
+    const aim = this.aimPoint();
+    if (!aim) return;
+
+    const origin    = this.player.mesh.position;
+    const direction = aim.sub(origin).setY(0).normalize();
+    this.player.mesh.lookAt(origin.clone().add(direction));   // turn to face the shot
+
+    const up = new THREE.Vector3(0, 1, 0);
+    for (let i = 0; i < weapon.pellets; i++) {
+      const dir = direction.clone().applyAxisAngle(up, rng.stream('weapons').float(-1, 1) * weapon.spread);
+      const bullet = this.spawnBullet(origin, dir, {
+        source: this.weapons.id,
+        speed: weapon.speed, mass: weapon.mass, energyScale: weapon.energyScale
+      });
+      // Add the player's current velocity to the bullet.
+      bullet.velocity.add(this.player.velocity);
+      // Apply buff: increase bullet speed if the buff is active.
+      if (this.powerUps.isActive('attackVelocity')) {
+        bullet.velocity.multiplyScalar(POWER_UPS.attackVelocity.mult);
+      }
+    }
+  }
+
+  /** a new bullet in flight; see SimBullet.init for `opts` */
+  spawnBullet(pos, dir, opts) {
+    const bullet = this.createBullet(pos, dir, opts);
+    this.bullets.push(bullet);
+    return bullet;
+  }
+
+  /** drops a `kind` pickup (PICKUP_KINDS) at `pos` */
+  spawnPickup(pos, kind, amount) {
+    const pickup = new Pickup(pos, this.player, kind, amount);
+    this.pickups.push(pickup);
+    return pickup;
+  }
+
+  /** a collected pickup leaves the world */
+  discardPickup(pickup) {
+    pickup.destroy();
+  }
+
+  /* ───── tokens ────────────────────────────────────────────────── */
+
+  addTurretToken(count = 1, worldPos = null) {
+    this.turretTokens += count;
+    this.tokensChanged();
+
+    const pos = worldPos ?? this.player.mesh.position.clone();
+    this.notify(`🛡️ +${count} Turret`, pos);
+  }
+
+  addMolotovToken(count=1, worldPos=null){
+    this.molotovTokens += count;
+    this.tokensChanged();
+    const pos = worldPos ?? this.player.mesh.position.clone();
+    this.notify(`🔥 +${count} Molotov`, pos);
+  }
+
+  addPotionToken(count=1, worldPos=null){
+    this.potionTokens += count;
+    this.tokensChanged();
+    const pos = worldPos ?? this.player.mesh.position.clone();
+    this.notify(`🧪 +${count} Potion`, pos);
+  }
+
+  /** a potion's buff is running; only one at a time (see Potion.tryConsume) */
+  get potionActive() {
+    return this._activePotion !== null;
+  }
+
+  /* ───── combat ────────────────────────────────────────────────── */
+
+  /** the knife's hit moment: every enemy in front of the player within reach */
+  knifeHit(damage) {
+    const knifeRange = 10; // Define your knife range.
+
+    // Compute the player's forward direction (assuming local forward is -Z).
+    const forward = new THREE.Vector3(0, 0, 1);
+    forward.applyQuaternion(this.player.mesh.quaternion).setY(0).normalize();
+
+    // enemies in front of the player (a 180° cone) within reach
+    const inFront = this.enemySpawner.enemiesInCone(this.player.mesh.position, forward, knifeRange, Math.PI / 2);
+    inFront.forEach(enemy => {
+      // Compute the vector from the player to the enemy.
+      const toEnemy = enemy.mesh.position.clone().sub(this.player.mesh.position);
+      toEnemy.normalize();
+
+      const enemyDead = enemy.takeDamage(damage);
+      if (enemyDead) {
+        this.onEnemyKilled(enemy, 'knife');
+      }
+      else if (!enemy.archetype.knockbackImmune) {
+        const knockback = damage * 0.5;   // impulse magnitude
+        const knockbackDir = toEnemy.clone();
+        // this will ensure the knockback is purely horizontal
+        // this is needed because the player is higher than the enemy
+        // so when the he hits him the knockback has a vertical component
+        // however, I didn't implement the collision detection
+        // with the ground, so the enemy would have sunk
+        // under the ground mesh.
+        // That means that this knockback is not respecting 100%
+        // the laws of physics, since we are arbitrarily removing
+        // the vertical component of the knockback direction.
+        // However, it is a good approximation and no ones cares.
+        knockbackDir.y = 0;
+        knockbackDir.normalize();
+
+        enemy.velocity.add( // Δv = J / m
+          knockbackDir.multiplyScalar(knockback / enemy.mass)
+        );
+      }
+    });
+  }
+
+  /**
+   * Single kill-attribution path: every damage source (knife, bullets,
+   * turrets, molotovs …) ends up here once an enemy's health reaches 0.
+   * @param {SimEnemy} enemy
+   * @param {string}   source – 'knife' | 'pistol' | 'shotgun' | 'rifle' | 'turret' | 'molotov' …
+   */
+  onEnemyKilled(enemy, source = 'unknown') {
+    // two sources can finish the same enemy in one frame: count it once
+    if (!this.enemySpawner.removeEnemy(enemy)) return;
+
+    this.killsBySource[source] = (this.killsBySource[source] ?? 0) + 1;
+
+    const wave = this.enemySpawner.currentWave;
+    const base = enemy.xp;                 // archetype XP, ×3 for elites
+    const xp   = Math.round(base * (1 + XP_WAVE_BONUS * (wave - 1)));
+
+    this.events.dispatchEvent({ type: 'enemy-killed', enemy, source, xp });
+    this.grantXP(xp);
+  }
+
+  /**
+   * Applies one enemy's attack for this step, according to its archetype:
+   *  - melee   : one hit per loop of the attack clip while in range
+   *  - explode : detonates once in range, damage falls off with distance
+   *  - ranged  : lobs a ballistic projectile every `attackCooldown` seconds
+   */
+  resolveEnemyAttack(enemy, delta) {
+    const targetPos = enemy.targetPos;              // the player, or a turret in the way
+    const distance  = enemy.targetDistance();
+
+    switch (enemy.attack) {
+
+      case 'explode': {
+        if (!enemy.isAttacking) return;
+        const blast = enemy.archetype.blastRadius;
+        const falloff = (d) => Math.round(enemy.damage * Math.max(0, 1 - d / blast)); // 1 → point blank, 0 → edge
+
+        const dmg = falloff(enemy.mesh.position.distanceTo(this.player.mesh.position));
+        if (dmg > 0) this.damagePlayer(dmg, enemy.type, 0);
+        // the blast catches every turret around it, not just the target
+        for (const t of this.turrets.filter(t => t.alive)) {
+          const d = enemy.mesh.position.distanceTo(t.object.position) - t.radius;
+          if (falloff(d) > 0) this.damageTurret(t, falloff(d));
+        }
+        this.notify("💥", enemy.mesh.position.clone());
+        // a self-destruct is not a kill: no XP, no drops
+        this.enemySpawner.removeEnemy(enemy, { drops: false });
+        return;
+      }
+
+      case 'ranged': {
+        enemy.attackTimer -= delta;
+        if (!enemy.isAttacking || enemy.attackTimer > 0) return;
+        enemy.attackTimer = enemy.archetype.attackCooldown;
+
+        // aim so that gravity brings the glob down on the player:
+        // flight time t = d / v, so add the v_y that cancels ½ g t²
+        const speed  = enemy.archetype.projectileSpeed;
+        const origin = enemy.mesh.position.clone().setY(this.player.mesh.position.y);
+        const dir    = targetPos.clone().sub(origin).setY(0).normalize();
+        const t      = distance / speed;
+        const spit   = this.spawnBullet(origin, dir, {
+          speed, mass: 0.05, source: 'spitter',
+          hostile: true, damage: enemy.damage, radius: 1, colour: 0x66ff66
+        });
+        spit.velocity.y += 0.5 * -GRAVITY.y * t;
+        return;
+      }
+
+      default: { // 'melee'
+        if (enemy.isAttacking) {
+          // Check if the attack clip has looped:
+          // If the attack clock is less than the last recorded time,
+          // it means a new cycle has started.
+          if (enemy.attackClock < enemy.lastAttackCycleTime) {
+            enemy.hasDamaged = false;
+          }
+          enemy.lastAttackCycleTime = enemy.attackClock;
+
+          // If the target is within the attack range and damage hasn't been applied for this cycle:
+          if (distance < enemy.attackRange && !enemy.hasDamaged) {
+            if (enemy.target) this.damageTurret(enemy.target, enemy.damage);
+            else this.damagePlayer(enemy.damage, enemy.type);
+            enemy.hasDamaged = true;
+          }
+        } else {
+          // Reset the damage flag when the enemy is not in attack state.
+          enemy.hasDamaged = false;
+        }
+      }
+    }
+  }
+
+  /**
+   * One hit on the player, booked under `source` (an archetype like 'zombie',
+   * or a projectile like 'spitter') in damageBySource.
+   * @param {number} [visualDelayMs] – see SimPlayer.takeDamage
+   */
+  damagePlayer(amount, source, visualDelayMs) {
+    if (!this.player.alive) return;
+    this.damageBySource[source] = (this.damageBySource[source] ?? 0) + amount;
+    this.player.takeDamage(amount, visualDelayMs);
+  }
+
+  /**
+   * One hit on a turret; a destroyed turret turns into a wreck (see SimTurret.destroy).
+   * @returns {boolean} true if this hit destroyed it
+   */
+  damageTurret(turret, damage) {
+    if (!turret.takeDamage(damage)) return false;
+
+    this.removeObstacle(turret.obstacle);   // the wreck no longer blocks anyone
+    turret.obstacle = null;
+    this.notify("💥 Turret destroyed!", turret.object.position.clone());
+    return true;
+  }
+
+  /** feeds Player.addXP and fires one 'level-up' event per level gained */
+  grantXP(amount) {
+    const before = this.player.level;
+    if (!this.player.addXP(amount)) return;
+
+    for (let level = before + 1; level <= this.player.level; level++) {
+      this.events.dispatchEvent({ type: 'level-up', level });
+    }
+  }
+
+  activateBulletHell() {
+    this.powerUps.activate('bulletHell');
+  }
+
+
+  activateKnifeSpeedPowerupThree() {
+    this.powerUps.activate('knifeSpeed');
+  }
+
+
+  activateAttackVelocityBuff() {
+    this.powerUps.activate('attackVelocity');
+  }
+
+  onPlayerDeath() {
+    if (this.isGameOver) return;      // already handled
+
+    this.isGameOver = true;
+
+    /* Freeze all enemies (nothing steps a finished run anyway) ------ */
+    this.enemySpawner?.pause?.();
+  }
+
+  /* ───── fixed-step simulation ─────────────────────────────────── */
+
+  /**
+   * One fixed simulation step of `delta` (= SIM_STEP) seconds: everything
+   * that moves, fights or times out.
+   */
+  step(delta) {
+
+    // -------------------------- UPDATE PLAYER --------------------------
+    this.player.update(delta, this.input, this.cameraAngle);
+    // ---------------------- END UPDATE PLAYER --------------------------
+
+    // --------------------------- UPDATE WEAPON --------------------------
+    this.weapons.update(delta);
+    if (this.weapons.tryFire(this.triggerPressed, this.input['MouseLeft'])) {
+      this.fireWeapon();
+    }
+    this.triggerPressed = false;
+    // ------------------------- END UPDATE WEAPON ------------------------
+
+    // --------------------------- UPDATE ENEMIES --------------------------
+    if (this.enemySpawner) {
+      // one flow field toward the player steers every enemy chasing them
+      this.pathfinder.updateFlowField(this.player.mesh.position);
+      // Update the enemy spawner
+      this.enemySpawner.update(delta);
+      // Update each enemy and check for enemy attacks
+      // (iterate a copy: exploders remove themselves mid-loop;
+      //  the camera only matters to the health bars on screen)
+      for (const enemy of this.enemySpawner.enemies.slice()) {
+        enemy.update(delta, this.camera);
+        this.resolveEnemyAttack(enemy, delta);
+      }
+      this.pathService?.flush();   // this step's path requests, one batch
+      this.enemySpawner.rebuildIndex();   // everything below queries fresh positions
+    }
+    // ----------------------- END UPDATE ENEMIES --------------------------
+
+    // --------------------------- UPDATE BULLETS --------------------------
+    for (let i = this.bullets.length - 1; i >= 0; i--) {
+      const bullet = this.bullets[i];
+      bullet.update(delta);
+
+      // culled by distance last frame – drop it from the list too
+      if (!bullet.alive) {
+        this.bullets.splice(i, 1);
+        bullet.recycle();
+        continue;
+      }
+
+      // enemy projectiles only ever look for the player
+      if (bullet.hostile) {
+        const pos = bullet.mesh.position;
+        const turret = this.turrets.find(t =>
+          t.alive && pos.distanceTo(t.object.position) < bullet.radius + t.radius);
+        if (turret) this.damageTurret(turret, bullet.damage);
+        else if (pos.distanceTo(this.player.mesh.position) < bullet.radius + SimPlayer.RADIUS) {
+          this.damagePlayer(bullet.damage, bullet.source, 0);
+        } else continue;
+
+        this.bullets.splice(i, 1);
+        bullet.recycle();
+        continue;
+      }
+
+      // Check collision between this bullet and the enemies around it.
+      const near = this.enemySpawner.enemiesInRadius(bullet.mesh.position, bullet.radius + Simulation.MAX_ENEMY_RADIUS, this._bulletHits);
+      for (const enemy of near) {
+        // Calculate collision based on the sum of radii.
+        const collisionDistance = bullet.radius + enemy.radius;
+        const distance = bullet.mesh.position.distanceTo(enemy.mesh.position);
+        if (distance < collisionDistance) {
+          // kinetic energy E = ½ m v²  (use v² = |v|² to avoid a sqrt) for bullet damage calculation
+          const energy  = 0.5 * bullet.mass * bullet.velocity.lengthSq();
+          const baseDmg = energy * bullet.energyScale;
+          const dmg     = bullet.damage ?? baseDmg; // if power-ups set bullet.damage, use that
+          const enemyDead = enemy.takeDamage(dmg);
+          if (enemyDead) {
+            this.onEnemyKilled(enemy, bullet.source);
+          }
+          // Remove the bullet after it hits.
+          this.bullets.splice(i, 1);
+          bullet.recycle();
+          break;
+        }
+      }
+    }
+    // ------------------------- END UPDATE BULLETS --------------------------
+
+    // --------------------------- UPDATE PICKUPS --------------------------
+    for (let i = this.pickups.length - 1; i >= 0; i--) {
+      const pickup = this.pickups[i];
+      const collected = pickup.update(delta);
+      if (collected) {
+        pickup.collect(this);              // heal, mana, tokens, XP … + its own message
+        this.discardPickup(pickup);
+        this.pickups.splice(i, 1);
+      }
+    }
+    // ------------------------- END UPDATE PICKUPS --------------------------
+
+    // ------------------------ UPDATE CAMERA ANGLE ------------------------
+    const rotationSpeed = 1.0; // Radians per second
+
+    if (this.input['KeyQ']) {
+      // Rotate camera to the left.
+      this.cameraAngle -= delta * rotationSpeed;
+    }
+    if (this.input['KeyE']) {
+      // Rotate camera to the right.
+      this.cameraAngle += delta * rotationSpeed;
+    }
+    // ---------------------- END UPDATE CAMERA ANGLE ----------------------
+
+    // --------------------------- UPDATE TURRETS --------------------------
+    for (let i = this.turrets.length - 1; i >= 0; i--) {
+      const t = this.turrets[i];
+      if (t.update(delta, this.camera)) {   // wreck has burnt out
+        t.dispose();
+        this.turrets.splice(i, 1);
+      }
+    }
+    // ------------------------- END UPDATE TURRETS --------------------------
+
+    // --------------------------- UPDATE MOLOTOVS --------------------------
+    for(let i=this.molotovs.length-1;i>=0;i--) {
+      const m=this.molotovs[i];
+      const dead = m.update(delta);
+      if(dead){
+        this.molotovs.splice(i,1);
+        m.recycle();
+      }
+    }
+    // ------------------------- END UPDATE MOLOTOVS --------------------------
+
+    // --------------------------- UPDATE POTION --------------------------
+    if (this._activePotion && this._activePotion.update(delta)) {
+      // if update() returned true the buff expired & cleaned itself
+      this._activePotion = null;
+    }
+    // ------------------------- END UPDATE POTION --------------------------
+
+    // -------------------------- UPDATE POWER-UPS -------------------------
+    this.powerUps.update(delta);
+    // ------------------------ END UPDATE POWER-UPS -----------------------
+
+    this.player.regenMana(delta);
+
+    this.tick++;
+  }
+}
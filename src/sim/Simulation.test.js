@@ -0,0 +1,326 @@
+/**
+ * Headless checks of the simulation core: `npm test` (node --test src/sim).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Simulation } from './Simulation.js';
+import { SimBullet } from './SimBullet.js';
+import { SimTurret } from './SimTurret.js';
+import { waveDifficulty } from '../Difficulty.js';
+import { Potion } from '../Potion.js';
+
+const STEP = Simulation.SIM_STEP;
+
+/** steps `sim` for `seconds` of game time (or until the player dies) */
+function run(sim, seconds, each = () => {}) {
+  const until = sim.tick + Math.round(seconds / STEP);
+  while (!sim.isGameOver && sim.tick < until) {
+    each(sim);
+    if (sim.perkOffer) sim.choosePerk(0);
+    sim.step(STEP);
+  }
+  return sim;
+}
+
+/** walks in a square and swings the knife, so movement, combat and XP all happen */
+function script(sim) {
+  const keys = ['KeyW', 'KeyD', 'KeyS', 'KeyA'];
+  const held = keys[Math.floor(sim.tick / 120) % keys.length];
+  for (const k of keys) sim.input[k] = k === held;
+  sim.input['MouseLeft'] = true;
+}
+
+/** everything a run should reproduce exactly */
+function snapshot(sim) {
+  const { x, z } = sim.player.mesh.position;
+  return {
+    tick: sim.tick, x, z,
+    health: sim.player.health, level: sim.player.level, xp: sim.player.xp,
+    wave: sim.enemySpawner.currentWave,
+    kills: { ...sim.killsBySource },
+    enemies: sim.enemySpawner.enemies.map(e => [e.type, e.mesh.position.x, e.mesh.position.z, e.health]),
+  };
+}
+
+/** a run with no waves: only what the test puts in the arena happens */
+function arena(seed = 1) {
+  const sim = Simulation.headless({ seed });
+  sim.enemySpawner.pause();
+  return sim;
+}
+
+/** `type` standing `dx`, `dz` metres from the player */
+function spawnNear(sim, type, dx, dz = 0) {
+  const p = sim.player.mesh.position;
+  return sim.enemySpawner.spawnEnemy(type, new THREE.Vector3(p.x + dx, 0, p.z + dz));
+}
+
+test('the same seed plays out the same run', () => {
+  const a = snapshot(run(Simulation.headless({ seed: 42 }), 12, script));
+  const b = snapshot(run(Simulation.headless({ seed: 42 }), 12, script));
+  assert.deepEqual(a, b);
+  assert.ok(a.enemies.length > 0 || Object.keys(a.kills).length > 0, 'nothing spawned');
+});
+
+test('waves come, knife kills give XP and level-ups offer perks', () => {
+  const sim = Simulation.headless({ seed: 1 });
+  const offers = [];
+  sim.events.addEventListener('level-up', () => offers.push(sim.perkOffer));
+
+  run(sim, 75, (s) => { s.input['MouseLeft'] = true; });
+
+  assert.ok(sim.killsBySource.knife > 0, 'no knife kills');
+  assert.ok(sim.player.level > 1, 'no level-up');
+  assert.equal(offers.length, sim.player.level - 1);
+  assert.ok(offers.every(o => o?.length === 3), 'every level-up offers 3 perks');
+  assert.equal(sim.player.perks.length, sim.player.level - 1);
+});
+
+test('every 5th wave brings the boss on top of the horde', () => {
+  const sim = arena();
+  const spawner = sim.enemySpawner;
+  spawner.resume();
+
+  const nextWave = () => {
+    spawner.waveInProgress = false;
+    spawner.waveCooldownTimer = 0;
+    sim.step(STEP);
+  };
+
+  spawner.currentWave = 3;
+  nextWave();
+  assert.equal(spawner.currentWave, 4);
+  assert.equal(spawner.boss, null, 'boss on wave 4');
+
+  nextWave();
+  assert.equal(spawner.currentWave, 5);
+  run(sim, 0.1);   // it lands on one of the next updates
+  assert.ok(spawner.boss?.isBoss, 'no boss on wave 5');
+  assert.ok(spawner.enemies.includes(spawner.boss));
+
+  spawner.removeEnemy(spawner.boss);
+  assert.equal(spawner.boss, null);
+});
+
+test('melee enemies hit the player once per attack loop', () => {
+  const sim = arena();
+  const zombie = spawnNear(sim, 'zombie', 2);
+
+  run(sim, 0.5);
+  assert.ok(zombie.isAttacking, 'not attacking at arm\'s length');
+  assert.equal(sim.player.health, 100 - zombie.damage, 'one hit in the first loop');
+
+  run(sim, zombie.attackClipLength);
+  assert.equal(sim.player.health, 100 - 2 * zombie.damage, 'one more hit per loop');
+});
+
+test('exploders detonate once in range: no kill, turrets caught in the blast', () => {
+  const sim = arena();
+  const p = sim.player.mesh.position;
+  const turret = sim.placeTurret(new THREE.Vector3(p.x - 4, 0, p.z));
+  const exploder = spawnNear(sim, 'exploder', 3);
+
+  run(sim, 0.5);
+  assert.ok(exploder.removed, 'still around');
+  assert.equal(sim.enemySpawner.enemies.length, 0);
+  assert.ok(sim.player.health < 100, 'blast missed the player');
+  assert.ok(turret.health < SimTurret.MAX_HEALTH, 'blast missed the turret');
+  assert.deepEqual(sim.killsBySource, {}, 'a self-destruct is not a kill');
+  assert.equal(sim.player.xp, 0);
+});
+
+test('spitters keep their distance and their globs hit the player', () => {
+  const sim = arena();
+  const spitter = spawnNear(sim, 'spitter', 30);
+
+  run(sim, 0.2);
+  assert.ok(spitter.isAttacking, 'not attacking from 30 m');
+  const glob = sim.bullets.find(b => b.hostile);
+  assert.ok(glob, 'no projectile');
+  assert.equal(glob.source, 'spitter');
+
+  run(sim, 1);
+  assert.equal(sim.player.health, 100 - spitter.damage);
+  assert.ok(!sim.bullets.includes(glob), 'glob still in flight after the hit');
+  assert.ok(spitter.mesh.position.distanceTo(sim.player.mesh.position) > 20, 'walked up to the player');
+});
+
+test('hostile bullets hit the player, or a turret in the way', () => {
+  const sim = arena();
+  const p = sim.player.mesh.position;
+  const shoot = (from) => sim.spawnBullet(from, p.clone().sub(from).setY(0).normalize(), {
+    speed: 40, hostile: true, damage: 7, radius: 1,
+  });
+
+  shoot(p.clone().setX(p.x + 20));
+  run(sim, 1);
+  assert.equal(sim.player.health, 93);
+  assert.equal(sim.bullets.length, 0);
+
+  const turret = sim.placeTurret(new THREE.Vector3(p.x, 0, p.z + 10));
+  shoot(p.clone().setZ(p.z + 20));
+  run(sim, 1);
+  assert.equal(sim.player.health, 93, 'went through the turret');
+  assert.equal(turret.health, SimTurret.MAX_HEALTH - 7);
+});
+
+test('turrets take damage and leave a wreck that expires', () => {
+  const sim = arena();
+  const p = sim.player.mesh.position;
+  const turret = sim.placeTurret(new THREE.Vector3(p.x + 10, 0, p.z));
+  const footprint = turret.obstacle.box;
+  assert.ok(sim.staticColliders.includes(footprint));
+
+  assert.equal(sim.damageTurret(turret, 100), false);
+  assert.equal(turret.health, SimTurret.MAX_HEALTH - 100);
+  assert.equal(sim.damageTurret(turret, SimTurret.MAX_HEALTH), true, 'not destroyed');
+  assert.equal(turret.alive, false);
+  assert.equal(turret.obstacle, null);
+  assert.ok(!sim.staticColliders.includes(footprint), 'the wreck still blocks');
+  assert.equal(sim.damageTurret(turret, 100), false, 'a wreck is destroyed only once');
+
+  assert.ok(sim.turrets.includes(turret), 'the wreck should stay for a while');
+  run(sim, SimTurret.WRECK_TIME + 0.1);
+  assert.ok(!sim.turrets.includes(turret), 'the wreck never expires');
+});
+
+test("'first' targeting goes by the walk to the player, even for enemies after a turret", () => {
+  const sim = arena();
+  const p = sim.player.mesh.position;
+  const turret = sim.placeTurret(new THREE.Vector3(p.x + 20, 0, p.z));
+  turret.targeting = 'first';
+  const bait = sim.placeTurret(new THREE.Vector3(p.x - 60, 0, p.z));
+
+  // 10 m from the player, but on its way to the far turret
+  const close = spawnNear(sim, 'zombie', 0, 10);
+  close.target = bait;
+  close.path = [new THREE.Vector3(p.x - 60, 0, p.z + 10)];
+  const far = spawnNear(sim, 'zombie', 0, 30);
+
+  sim.pathfinder.updateFlowField(p);
+  sim.enemySpawner.rebuildIndex();
+  assert.ok(close.distanceToPlayer() < far.distanceToPlayer());
+  assert.equal(turret.findTarget(), close);
+});
+
+test('turret placement: free ground yes; player, turrets and scenery no; wrecks do not block', () => {
+  const sim = arena();
+  const p   = sim.player.mesh.position;
+  const at  = (dx, dz) => new THREE.Vector3(p.x + dx, 0, p.z + dz);
+
+  assert.equal(sim.isTurretPlacementValid(at(1, 0)), false, 'on the player');
+  assert.equal(sim.isTurretPlacementValid(at(2, 0)), false, 'touching the player');
+  assert.equal(sim.isTurretPlacementValid(at(10, 0)), true, 'open ground');
+  assert.equal(sim.isTurretPlacementValid(new THREE.Vector3(Simulation.MAP_HALF, 0, 0)), false, 'in the wall');
+
+  const tokens = sim.turretTokens;
+  sim.execute({ type: 'turret', x: p.x + 10, z: p.z });
+  assert.equal(sim.turrets.length, 1);
+  assert.equal(sim.turretTokens, tokens - 1);
+  assert.equal(sim.isTurretPlacementValid(at(11, 0)), false, 'overlaps the turret');
+
+  // a destroyed turret leaves a wreck that no longer blocks anything
+  const [turret] = sim.turrets;
+  sim.damageTurret(turret, Infinity);
+  assert.equal(sim.isTurretPlacementValid(at(11, 0)), true, 'the wreck still blocks');
+
+  // a turret placed right next to the player does not freeze them in place
+  sim.execute({ type: 'turret', x: p.x - 3, z: p.z });
+  for (const key of ['KeyW', 'KeyA', 'KeyS', 'KeyD']) {
+    const start = p.clone();
+    sim.input = { [key]: true };
+    run(sim, 0.5);
+    assert.ok(p.distanceTo(start) > 0, `stuck on ${key}`);   // may walk into the turret, but not be frozen
+  }
+});
+
+test('execute: upgrade, targeting and sell reach the turret by id', () => {
+  const sim = arena();
+  const p = sim.player.mesh.position;
+  sim.player.mana = sim.player.maxMana;
+  sim.execute({ type: 'turret', x: p.x + 10, z: p.z });
+  const [turret] = sim.turrets;
+
+  const stat  = Object.keys(SimTurret.UPGRADES)[0];
+  const cost  = turret.upgradeCost(stat);
+  const mana  = sim.player.mana;
+  sim.execute({ type: 'upgrade', id: turret.id, stat });
+  assert.equal(sim.player.mana, mana - cost);
+  assert.equal(turret.invested, SimTurret.COST + cost);
+
+  const modes = Object.keys(SimTurret.TARGETING);
+  sim.execute({ type: 'targeting', id: turret.id });
+  assert.equal(turret.targeting, modes[1]);
+
+  sim.execute({ type: 'sell', id: turret.id + 1 });   // no such turret: ignored
+  assert.equal(sim.turrets.length, 1);
+
+  const tokens = sim.turretTokens;
+  const refund = turret.sellValue;
+  sim.player.mana = 0;
+  sim.execute({ type: 'sell', id: turret.id });
+  assert.equal(sim.turrets.length, 0);
+  assert.equal(sim.turretTokens, tokens + 1);
+  assert.equal(sim.player.mana, refund);
+  assert.ok(!sim.staticColliders.includes(turret.obstacle.box), 'sold turret still blocks');
+
+  sim.execute({ type: 'upgrade', id: turret.id, stat });   // gone: ignored
+  assert.equal(sim.player.mana, refund);
+});
+
+test('execute: the difficulty pick re-rolls the wave from its preset', () => {
+  const sim = arena();
+  sim.execute({ type: 'difficulty', id: 'nightmare' });
+  assert.equal(sim.enemySpawner.difficulty, 'nightmare');
+  assert.deepEqual(sim.enemySpawner.curve, waveDifficulty('nightmare', 1));
+});
+
+test('execute: one potion at a time, for its duration', () => {
+  const sim = arena();
+  const tokens = sim.potionTokens;
+  sim.player.mana = sim.player.maxMana;
+
+  sim.execute({ type: 'potion' });
+  sim.execute({ type: 'potion' });   // already under its effect: ignored
+  assert.equal(sim.potionActive, true);
+  assert.equal(sim.potionTokens, tokens - 1);
+  assert.equal(sim.tokensSpent.potion, 1);
+
+  run(sim, Potion.DURATION + 0.1);
+  assert.equal(sim.potionActive, false);
+});
+
+test('killed enemies and spent bullets come back out of their pools', () => {
+  const sim = arena();
+  const first = spawnNear(sim, 'zombie', 20);
+  first.takeDamage(first.maxHealth / 2);
+  run(sim, 0.5);   // picks up a path, a flow cell and a repath timer
+  let removed = 0;
+  sim.enemySpawner.onRemoved = () => removed++;
+  sim.onEnemyKilled(first, 'test');
+  assert.ok(first.removed);
+  assert.equal(sim.enemySpawner.removeEnemy(first), false, 'removed twice');
+  assert.equal(removed, 1, 'the view was told twice');
+
+  const again = spawnNear(sim, 'zombie', -20);
+  assert.equal(again, first, 'not reused');
+  assert.equal(again.removed, false);
+  assert.equal(again.health, again.maxHealth);
+  assert.deepEqual(again.path, []);
+  assert.equal(again.flowCell, -1);
+  assert.equal(again.goal, null);
+  assert.equal(again.repathTimer, 0);
+  assert.equal(again.mesh.position.x, sim.player.mesh.position.x - 20);
+
+  const dir = new THREE.Vector3(1, 0, 0);
+  const bullet = SimBullet.acquire(new THREE.Vector3(), dir, { hostile: true, damage: 5 });
+  bullet.recycle();
+  const reused = SimBullet.acquire(new THREE.Vector3(1, 2, 3), dir, { speed: 10 });
+  assert.equal(reused, bullet, 'not reused');
+  assert.equal(reused.alive, true);
+  assert.equal(reused.hostile, false);
+  assert.equal(reused.damage, undefined);
+  assert.equal(reused.velocity.length(), 10);
+  assert.deepEqual(reused.mesh.position.toArray(), [1, 2, 3]);
+});
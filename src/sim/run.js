@@ -0,0 +1,29 @@
+/**
+ * One headless run, no browser needed:
+ *
+ *   npm run sim -- [seed] [minutes] [difficulty]
+ *
+ * The player stands at the spawn swinging the knife until the horde gets
+ * them (or the time is up), then prints how far the run got.
+ */
+import { Simulation } from './Simulation.js';
+
+const [seed = 1, minutes = 10, difficulty] = process.argv.slice(2);
+
+const sim  = Simulation.headless({ seed: Number(seed), difficulty });
+const step = Simulation.SIM_STEP;
+const maxTicks = Math.round(minutes * 60 / step);
+
+const started = performance.now();
+while (!sim.isGameOver && sim.tick < maxTicks) {
+  sim.input['MouseLeft'] = true;   // swing whenever the last swing is over
+  if (sim.perkOffer) sim.choosePerk(0);
+  sim.step(step);
+}
+
+const secs = sim.tick * step;
+console.log(`seed ${seed}: ${sim.isGameOver ? 'died' : 'survived'} on wave ${sim.enemySpawner.currentWave}` +
+            ` after ${Math.floor(secs / 60)}:${String(Math.floor(secs % 60)).padStart(2, '0')}` +
+            ` (level ${sim.player.level})`);
+console.log('kills', sim.killsBySource);
+console.log(`${sim.tick} steps in ${((performance.now() - started) / 1000).toFixed(1)} s`);
@@ -0,0 +1,95 @@
+/**
+ * Soak / balance runs: the Bot plays N seeded runs headless and the report
+ * says how far each got. Rerun after retuning enemies, turrets or molotovs
+ * and compare.
+ *
+ *   npm run soak -- [runs] [minutes] [difficulty] [firstSeed] [--json]
+ *
+ * Seeds are firstSeed, firstSeed + 1, …; a run ends when the player dies or
+ * after `minutes` of game time. --json prints the whole report as JSON instead
+ * of tables, for diffing.
+ *
+ * A tool the bot never used in any run (or no damage taken at all) is
+ * reported as a warning: its numbers would say nothing about a retune.
+ */
+import { Simulation } from './Simulation.js';
+import { Bot } from './Bot.js';
+
+const json = process.argv.includes('--json');
+const [runs = 10, minutes = 15, difficulty = 'normal', firstSeed = 1] =
+  process.argv.slice(2).filter(a => !a.startsWith('--'));
+
+/** one seeded run with the bot at the controls */
+function playRun(seed) {
+  const sim  = Simulation.headless({ seed, difficulty });
+  const bot  = new Bot(sim);
+  const step = Simulation.SIM_STEP;
+  const maxTicks = Math.round(minutes * 60 / step);
+
+  while (!sim.isGameOver && sim.tick < maxTicks) {
+    bot.update(step);
+    sim.step(step);
+  }
+
+  const sum = (o) => Object.values(o).reduce((a, b) => a + b, 0);
+  return {
+    seed,
+    died:     sim.isGameOver,
+    wave:     sim.enemySpawner.currentWave,
+    seconds:  Math.round(sim.tick * step),
+    level:    sim.player.level,
+    kills:    sum(sim.killsBySource),
+    killsBySource:  { ...sim.killsBySource },
+    damageTaken:    Math.round(sum(sim.damageBySource)),
+    damageBySource: { ...sim.damageBySource },
+    tokensSpent:    { ...sim.tokensSpent },
+  };
+}
+
+const results = [];
+for (let i = 0; i < runs; i++) {
+  results.push(playRun(Number(firstSeed) + i));
+  if (!json) process.stderr.write(`\rrun ${i + 1}/${runs}`);
+}
+if (!json) process.stderr.write('\n');
+
+/* ── summary over all runs ── */
+const stat = (key) => {
+  const v = results.map(r => r[key]);
+  return { min: Math.min(...v), mean: +(v.reduce((a, b) => a + b, 0) / v.length).toFixed(1), max: Math.max(...v) };
+};
+const totals = (key) => {
+  const out = {};
+  for (const r of results) for (const [k, v] of Object.entries(r[key])) out[k] = (out[k] ?? 0) + v;
+  for (const k in out) out[k] = Math.round(out[k]);
+  return out;
+};
+const summary = {
+  runs: results.length, difficulty, minutes: Number(minutes),
+  deaths:  results.filter(r => r.died).length,
+  wave:    stat('wave'),
+  seconds: stat('seconds'),
+  damageBySource: totals('damageBySource'),
+  tokensSpent:    totals('tokensSpent'),
+};
+
+summary.warnings = Object.entries(summary.tokensSpent)
+  .filter(([, spent]) => spent === 0)
+  .map(([tool]) => `no ${tool} was used in any run`);
+if (!Object.keys(summary.damageBySource).length) summary.warnings.push('the player took no damage in any run');
+
+if (json) {
+  console.log(JSON.stringify({ summary, results }, null, 2));
+} else {
+  const fmt = (o) => Object.entries(o).map(([k, v]) => `${k} ${Math.round(v)}`).join(', ');
+  console.table(results.map(r => ({
+    seed: r.seed, died: r.died, wave: r.wave, time: `${Math.floor(r.seconds / 60)}:${String(r.seconds % 60).padStart(2, '0')}`,
+    level: r.level, kills: r.kills, damage: r.damageTaken,
+    'damage by source': fmt(r.damageBySource), 'tokens spent': fmt(r.tokensSpent),
+  })));
+  console.log(`${summary.deaths}/${summary.runs} died · wave ${summary.wave.min}–${summary.wave.max} (mean ${summary.wave.mean})` +
+              ` · survived ${summary.seconds.mean} s on average`);
+  console.log('damage taken by source', summary.damageBySource);
+  console.log('tokens spent', summary.tokensSpent);
+}
+for (const w of summary.warnings) console.warn(`⚠ ${w}`);